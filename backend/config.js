@@ -0,0 +1,105 @@
+// config.js
+// Central place for environment-driven settings so services don't hard-code
+// project IDs, model names or backends at module load.
+
+const path = require('path');
+
+const dataDir = process.env.LOCAL_DATA_DIR || path.join(__dirname, '.data');
+
+module.exports = {
+  ai: {
+    // Which registered provider handles model calls ('vertex' or 'fixture')
+    provider: process.env.AI_PROVIDER || 'vertex',
+    vertex: {
+      project: process.env.VERTEX_PROJECT || 'workshop-genai-477501',
+      location: process.env.VERTEX_LOCATION || 'us-central1',
+      model: process.env.VERTEX_MODEL || 'gemini-2.5-flash-image'
+    },
+    fixture: {
+      // JSON file of canned responses keyed by task and image SHA-256
+      file: process.env.AI_FIXTURE_FILE || null
+    },
+    // Prompt versions to run instead of the manifest's active ones (see services/promptRegistry.js)
+    prompts: {
+      meal: process.env.MEAL_PROMPT_VERSION || null,
+      drink: process.env.DRINK_PROMPT_VERSION || null,
+      text: process.env.TEXT_PROMPT_VERSION || null
+    },
+    // Follow-up turns that send schema errors back to the model before a meal
+    // or text result is marked degraded (see services/aiAnalyzer.js); 0 turns it off
+    mealRepairAttempts: Number(process.env.MEAL_REPAIR_ATTEMPTS ?? 2)
+  },
+  storage: {
+    // 'firestore' (Firestore + Cloud Storage) or 'local' (JSON file + uploads dir)
+    backend: process.env.STORAGE_BACKEND || 'firestore',
+    firebase: {
+      bucket: process.env.FIREBASE_STORAGE_BUCKET || 'gs://workshop-genai-477501.firebasestorage.app'
+    },
+    local: {
+      dataDir,
+      // Base URL used to build links to locally stored images
+      publicUrl: process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 8080}`
+    }
+  },
+  images: {
+    // Upload limit and preprocessing applied before any model call (see services/imagePreprocessor.js)
+    maxUploadBytes: Number(process.env.MAX_UPLOAD_MB || 15) * 1024 * 1024,
+    maxDimension: Number(process.env.IMAGE_MAX_DIMENSION || 1600),
+    jpegQuality: Number(process.env.IMAGE_JPEG_QUALITY || 85),
+    // Labelled photos /api/scan-brand accepts in one request (front, back, side)
+    maxDrinkImages: Number(process.env.DRINK_MAX_IMAGES || 3),
+    // Photos below either threshold get a "retake photo" response
+    minSharpness: Number(process.env.IMAGE_MIN_SHARPNESS ?? 30),
+    minBrightness: Number(process.env.IMAGE_MIN_BRIGHTNESS ?? 40)
+  },
+  auth: {
+    // 'firebase' verifies Firebase ID tokens; 'dev' verifies HS256 JWTs
+    // signed with AUTH_DEV_SECRET and enables POST /api/auth/dev-token
+    mode: process.env.AUTH_MODE || 'firebase',
+    devSecret: process.env.AUTH_DEV_SECRET || null,
+    devTokenTtl: process.env.AUTH_DEV_TOKEN_TTL || '7d',
+    // Comma-separated uids allowed into /api/admin (Firebase users with the
+    // `admin` custom claim are let in too)
+    adminUids: (process.env.ADMIN_UIDS || '').split(',').map((uid) => uid.trim()).filter(Boolean)
+  },
+  cache: {
+    // Analysis results cached by image hash; ANALYSIS_CACHE_MAX_ENTRIES=0 disables
+    maxEntries: Number(process.env.ANALYSIS_CACHE_MAX_ENTRIES ?? 500),
+    ttlSeconds: Number(process.env.ANALYSIS_CACHE_TTL_SECONDS ?? 3600)
+  },
+  jobs: {
+    // Scan jobs run through an in-process queue (see services/jobQueue.js)
+    concurrency: Number(process.env.SCAN_JOB_CONCURRENCY || 2),
+    maxAttempts: Number(process.env.SCAN_JOB_MAX_ATTEMPTS || 3),
+    retryDelayMs: Number(process.env.SCAN_JOB_RETRY_DELAY_MS || 1000)
+  },
+  i18n: {
+    // Language used when neither the request nor the profile picks one (see locales/)
+    defaultLanguage: process.env.DEFAULT_LANGUAGE || 'en'
+  },
+  speech: {
+    // 'google' serves POST /api/speech with Cloud Text-to-Speech for browsers
+    // without a voice for the user's language; 'none' leaves read-aloud to the browser
+    provider: process.env.SPEECH_PROVIDER || 'none'
+  },
+  expiry: {
+    // Numeric label dates are read day-first (DMY) or month-first (MDY)
+    dateOrder: process.env.EXPIRY_DATE_ORDER === 'MDY' ? 'MDY' : 'DMY',
+    // "Expires in N days" is added to drink warnings within this many days
+    warnDays: Number(process.env.EXPIRY_WARN_DAYS ?? 30),
+    // Zone whose calendar day counts as "today"
+    timeZone: process.env.EXPIRY_TIME_ZONE || 'UTC'
+  },
+  catalog: {
+    // Product catalog written by scripts/importProducts.js (JSON Lines)
+    file: process.env.PRODUCT_CATALOG_FILE || path.join(dataDir, 'products.jsonl')
+  },
+  recalls: {
+    // Recall and counterfeit watchlist written by scripts/importRecalls.js (JSON Lines)
+    file: process.env.RECALLS_FILE || path.join(dataDir, 'recalls.jsonl')
+  },
+  review: {
+    // Drink scans at or below this confidenceScore (0-100) are listed as low confidence
+    lowConfidence: Number(process.env.REVIEW_LOW_CONFIDENCE ?? 60)
+  }
+};
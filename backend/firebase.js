@@ -1,10 +1,13 @@
 // firebase.js (ADC Version)
+// Only loaded when STORAGE_BACKEND=firestore (see repositories/index.js),
+// so local development never initializes the Admin SDK.
 const admin = require('firebase-admin');
+const config = require('./config');
 
 // Initialize Firebase Admin SDK using the Cloud Run service account (ADC)
 // No environment variable needed, credentials are handled automatically by Cloud Run
 admin.initializeApp({
-  storageBucket: 'gs://workshop-genai-477501.firebasestorage.app',
+  storageBucket: config.storage.firebase.bucket,
 });
 
 // Firestore and Storage instances
@@ -0,0 +1,109 @@
+// middleware/auth.js
+// Derives the calling user from a verified token instead of a client-supplied
+// userId. Firebase ID tokens in production; in dev mode (AUTH_MODE=dev)
+// locally signed HS256 JWTs, so the app runs without a Firebase project.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+
+const DEV_ISSUER = 'safebite-dev';
+
+// Without AUTH_DEV_SECRET dev tokens only survive until the next restart
+const devSecret = config.auth.devSecret || crypto.randomBytes(32).toString('hex');
+if (config.auth.mode === 'dev' && !config.auth.devSecret) {
+  console.warn('⚠️ AUTH_DEV_SECRET is not set; dev tokens are signed with a per-process secret');
+}
+
+const verifiers = {
+  async firebase(token) {
+    // Loaded lazily so dev mode never initializes the Admin SDK
+    const { admin } = require('../firebase');
+    const decoded = await admin.auth().verifyIdToken(token);
+    return { uid: decoded.uid, admin: decoded.admin === true };
+  },
+
+  async dev(token) {
+    const decoded = jwt.verify(token, devSecret, { algorithms: ['HS256'], issuer: DEV_ISSUER });
+    return { uid: decoded.sub };
+  }
+};
+
+const verify = verifiers[config.auth.mode];
+if (!verify) {
+  throw new Error(`Unknown AUTH_MODE "${config.auth.mode}". Use one of: ${Object.keys(verifiers).join(', ')}`);
+}
+
+/**
+ * Signs a dev-mode token for `uid`. Only meaningful when AUTH_MODE=dev.
+ * @param {string} uid
+ * @returns {string} JWT
+ */
+function signDevToken(uid) {
+  return jwt.sign({}, devSecret, {
+    algorithm: 'HS256',
+    subject: uid,
+    issuer: DEV_ISSUER,
+    expiresIn: config.auth.devTokenTtl
+  });
+}
+
+// EventSource can't send headers, so the SSE route also accepts ?access_token=
+function readToken(req) {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme === 'Bearer' && token) return token;
+  return typeof req.query.access_token === 'string' ? req.query.access_token : null;
+}
+
+/**
+ * Rejects the request with 401 unless it carries a valid token; sets
+ * req.user = { uid } for the routes behind it.
+ */
+async function requireAuth(req, res, next) {
+  const token = readToken(req);
+  if (!token) return res.status(401).json({ error: true, message: 'Authentication required' });
+
+  try {
+    req.user = await verify(token);
+  } catch (err) {
+    console.warn('Token verification failed:', err.message);
+    return res.status(401).json({ error: true, message: 'Invalid or expired token' });
+  }
+  if (!req.user.uid) return res.status(401).json({ error: true, message: 'Invalid or expired token' });
+  return next();
+}
+
+/**
+ * Only lets the request through when the user it targets is the caller.
+ * @param {function(import('express').Request): string | undefined} getUserId -
+ *   Reads the target user id from the request (route param, body field...).
+ *   An absent id means "the caller".
+ */
+function requireOwner(getUserId) {
+  return (req, res, next) => {
+    const userId = getUserId(req);
+    if (userId && userId !== req.user.uid) {
+      // Multipart routes run this after multer; don't leave the uploads behind
+      // (req.file from uploadImage, req.files from uploadImages)
+      const uploads = Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat();
+      for (const file of [req.file, ...uploads]) {
+        if (file && fs.existsSync(file.path)) fs.unlinkSync(file.path);
+      }
+      return res.status(403).json({ error: true, message: 'You can only access your own data' });
+    }
+    return next();
+  };
+}
+
+/**
+ * Only lets admins through: uids listed in ADMIN_UIDS, or Firebase users with
+ * the `admin` custom claim. Goes after requireAuth.
+ */
+function requireAdmin(req, res, next) {
+  if (req.user.admin || config.auth.adminUids.includes(req.user.uid)) return next();
+  return res.status(403).json({ error: true, message: 'Admin access required' });
+}
+
+module.exports = { requireAuth, requireOwner, requireAdmin, signDevToken };
@@ -0,0 +1,175 @@
+// middleware/upload.js
+// Image uploads for the scan routes: multer writes the file to uploads/, then
+// services/imagePreprocessor.js swaps it for a prepared JPEG before the
+// route handler runs.
+const crypto = require('crypto');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const config = require('../config');
+const { users } = require('../repositories');
+const { resolveLanguage, t } = require('../services/i18n');
+const { preprocessImage, retakeMessage, ImageRejectedError } = require('../services/imagePreprocessor');
+
+// ---------------- Multer setup for temporary storage ----------------
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const uploadDir = 'uploads/';
+    if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir);
+    cb(null, uploadDir);
+  },
+  filename: (req, file, cb) => {
+    // Several photos can arrive in the same millisecond
+    const uniqueName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}${path.extname(file.originalname)}`;
+    cb(null, uniqueName);
+  }
+});
+const uploader = (files) => multer({ storage, limits: { fileSize: config.images.maxUploadBytes, files } });
+const upload = uploader(1);
+
+const removeFile = (filePath) => {
+  if (filePath && fs.existsSync(filePath)) fs.unlinkSync(filePath);
+};
+
+/**
+ * Body of the 422 answer for a photo that failed the quality check.
+ * @param {object} quality - req.file.quality
+ * @param {string} [language]
+ */
+function retakeResponse(quality, language) {
+  return { error: true, retake: true, message: retakeMessage(quality, language), quality };
+}
+
+// The answer goes out before the route reads the profile: the request's
+// `language` (or ?lang=), else the caller's profile language. A failed
+// profile read only costs the translation.
+async function requestLanguage(req) {
+  const requested = req.body?.language || req.query.lang;
+  if (requested || !req.user) return resolveLanguage(requested);
+  try {
+    return resolveLanguage((await users.get(req.user.uid))?.language);
+  } catch (err) {
+    console.warn('Could not read the profile language:', err.message);
+    return resolveLanguage();
+  }
+}
+
+// Body of the answer for a file that isn't a readable image (ImageRejectedError)
+async function rejectedResponse(req, err) {
+  return { error: true, message: t(await requestLanguage(req), err.key) };
+}
+
+// Multer errors as JSON answers; anything else goes to the error handler
+function receiveWith(middleware, maxCount) {
+  return (req, res, next) => middleware(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ error: true, message: `Image is too large (max ${config.images.maxUploadBytes / 1024 / 1024} MB)` });
+      }
+      if (err.code === 'LIMIT_FILE_COUNT' || (maxCount > 1 && err.code === 'LIMIT_UNEXPECTED_FILE')) {
+        return res.status(400).json({ error: true, message: `Too many images (max ${maxCount})` });
+      }
+      return res.status(400).json({ error: true, message: err.message });
+    }
+    return next(err);
+  });
+}
+
+// Swaps a multer file for the prepared JPEG (path, mimetype, size and
+// originalname updated; detectedType, width, height and quality added)
+async function prepareFile(file) {
+  const originalPath = file.path;
+  const preparedPath = path.join(path.dirname(originalPath), `${path.parse(originalPath).name}-prepared.jpg`);
+  try {
+    const prepared = await preprocessImage(originalPath, preparedPath);
+    Object.assign(file, {
+      path: preparedPath,
+      mimetype: 'image/jpeg',
+      size: prepared.size,
+      originalname: `${path.parse(file.originalname).name}.jpg`,
+      detectedType: prepared.detectedType,
+      width: prepared.width,
+      height: prepared.height,
+      quality: prepared.quality
+    });
+  } finally {
+    removeFile(originalPath);
+  }
+}
+
+/**
+ * Accepts one image in `field` and replaces req.file with the prepared JPEG
+ * (path, mimetype, size and originalname updated; detectedType, width,
+ * height and quality added).
+ * @param {string} field - Multipart field name.
+ * @param {{ requireUsable?: boolean }} [options] - With requireUsable (the
+ *   default) a photo failing the quality check gets the "retake photo" answer
+ *   before the route runs; otherwise the route checks req.file.quality itself.
+ * @returns {Function[]} Middleware chain.
+ */
+function uploadImage(field, { requireUsable = true } = {}) {
+  const receive = receiveWith(upload.single(field), 1);
+
+  const prepare = async (req, res, next) => {
+    // Routes report a missing image themselves
+    if (!req.file) return next();
+
+    try {
+      await prepareFile(req.file);
+    } catch (err) {
+      if (err instanceof ImageRejectedError) return res.status(err.status).json(await rejectedResponse(req, err));
+      return next(err);
+    }
+
+    if (requireUsable && !req.file.quality.usable) {
+      removeFile(req.file.path);
+      return res.status(422).json(retakeResponse(req.file.quality, await requestLanguage(req)));
+    }
+    return next();
+  };
+
+  return [receive, prepare];
+}
+
+/**
+ * Accepts up to `maxCount` images in `field` and prepares each like
+ * uploadImage, in req.files in the order they were sent. A rejected or
+ * unusable photo fails the whole request; the answer carries its position
+ * in `imageIndex` so the client can say which photo to retake.
+ * @param {string} field - Multipart field name.
+ * @param {{ maxCount: number }} options
+ * @returns {Function[]} Middleware chain.
+ */
+function uploadImages(field, { maxCount }) {
+  const receive = receiveWith(uploader(maxCount).array(field, maxCount), maxCount);
+
+  const prepare = async (req, res, next) => {
+    const files = req.files || [];
+    const removeAll = () => files.forEach((file) => removeFile(file.path));
+
+    for (const [imageIndex, file] of files.entries()) {
+      try {
+        await prepareFile(file);
+      } catch (err) {
+        removeAll();
+        if (err instanceof ImageRejectedError) {
+          return res.status(err.status).json({ ...await rejectedResponse(req, err), imageIndex });
+        }
+        return next(err);
+      }
+    }
+
+    const unusable = files.findIndex((file) => !file.quality.usable);
+    if (unusable >= 0) {
+      removeAll();
+      const language = await requestLanguage(req);
+      return res.status(422).json({ ...retakeResponse(files[unusable].quality, language), imageIndex: unusable });
+    }
+    return next();
+  };
+
+  return [receive, prepare];
+}
+
+module.exports = { uploadImage, uploadImages, retakeResponse };
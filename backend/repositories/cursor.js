@@ -0,0 +1,25 @@
+// repositories/cursor.js
+// Opaque pagination cursors shared by every backend. Scans are listed newest
+// first, ordered by (createdAt desc, id desc); a cursor marks the last scan
+// of the previous page.
+
+function encodeCursor(scan) {
+  return Buffer.from(JSON.stringify([scan.createdAt, scan.id])).toString('base64url');
+}
+
+/**
+ * @param {string} cursor - Value from a previous page's nextCursor.
+ * @returns {{ createdAt: string, id: string }}
+ * @throws {Error} If the cursor is malformed.
+ */
+function decodeCursor(cursor) {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof createdAt === 'string' && typeof id === 'string') return { createdAt, id };
+  } catch (err) {
+    // fall through to the error below
+  }
+  throw new Error('Invalid cursor');
+}
+
+module.exports = { encodeCursor, decodeCursor };
@@ -0,0 +1,216 @@
+// repositories/firestoreRepository.js
+// Firestore + Cloud Storage implementation of the repository layer.
+
+const { db, admin, bucket } = require('../firebase');
+const { encodeCursor, decodeCursor } = require('./cursor');
+
+const usersCol = () => db.collection('users');
+const scansCol = (userId) => usersCol().doc(userId).collection('scans');
+const examplesCol = () => db.collection('labelledExamples');
+
+// Firestore caps a write batch at 500 operations
+const BATCH_SIZE = 500;
+
+const users = {
+  // `id` lets the caller pick the document id (the auth uid)
+  async create(data, { id } = {}) {
+    const docRef = id ? usersCol().doc(id) : usersCol().doc();
+    await docRef.set(data);
+    return { id: docRef.id, ...data };
+  },
+
+  async get(id) {
+    const doc = await usersCol().doc(id).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  },
+
+  async update(id, patch) {
+    const docRef = usersCol().doc(id);
+    if (!(await docRef.get()).exists) return null;
+    await docRef.update(patch);
+    const doc = await docRef.get();
+    return { id: doc.id, ...doc.data() };
+  },
+
+  async delete(id) {
+    const docRef = usersCol().doc(id);
+    if (!(await docRef.get()).exists) return false;
+    await docRef.delete();
+    return true;
+  }
+};
+
+const scans = {
+  async create(userId, data) {
+    const docRef = await scansCol(userId).add(data);
+    return { id: docRef.id, ...data };
+  },
+
+  async get(userId, scanId) {
+    const doc = await scansCol(userId).doc(scanId).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  },
+
+  async update(userId, scanId, patch) {
+    await scansCol(userId).doc(scanId).update(patch);
+  },
+
+  /**
+   * Lists a user's scans, newest first. Combining filters with the ordering
+   * needs composite indexes, which Firestore offers to create on first use.
+   * @param {string} userId
+   * @param {{ type?: string, riskLevel?: string, status?: string,
+   *           from?: string, to?: string, limit: number, cursor?: string }} options
+   * @returns {Promise<{ items: Array<object>, nextCursor: string | null }>}
+   */
+  async list(userId, { type, riskLevel, status, from, to, limit, cursor }) {
+    let query = scansCol(userId);
+    if (type) query = query.where('type', '==', type);
+    if (riskLevel) query = query.where('riskLevel', '==', riskLevel);
+    if (status) query = query.where('status', '==', status);
+    if (from) query = query.where('createdAt', '>=', from);
+    if (to) query = query.where('createdAt', '<=', to);
+
+    query = query
+      .orderBy('createdAt', 'desc')
+      .orderBy(admin.firestore.FieldPath.documentId(), 'desc');
+    if (cursor) {
+      const after = decodeCursor(cursor);
+      query = query.startAfter(after.createdAt, after.id);
+    }
+
+    // Fetch one extra document to know whether another page exists
+    const snapshot = await query.limit(limit + 1).get();
+    const items = snapshot.docs.slice(0, limit).map((doc) => ({ id: doc.id, ...doc.data() }));
+    const nextCursor = snapshot.size > limit ? encodeCursor(items[items.length - 1]) : null;
+    return { items, nextCursor };
+  },
+
+  /**
+   * Lists every user's scans for the admin console, newest first, through a
+   * collection group query (its composite indexes are offered on first use,
+   * like the per-user ones). Items carry their userId; cursors use the full
+   * document path, which is what collection group queries order ids by.
+   * @param {{ type?: string, riskLevel?: string, status?: string, maxConfidence?: number,
+   *           from?: string, to?: string, limit: number, cursor?: string }} options
+   * @returns {Promise<{ items: Array<object>, nextCursor: string | null }>}
+   */
+  async listAll({ type, riskLevel, status, maxConfidence, from, to, limit, cursor }) {
+    let query = db.collectionGroup('scans');
+    if (type) query = query.where('type', '==', type);
+    if (riskLevel) query = query.where('riskLevel', '==', riskLevel);
+    if (status) query = query.where('status', '==', status);
+    if (maxConfidence !== undefined) query = query.where('confidence', '<=', maxConfidence);
+    if (from) query = query.where('createdAt', '>=', from);
+    if (to) query = query.where('createdAt', '<=', to);
+
+    query = query
+      .orderBy('createdAt', 'desc')
+      .orderBy(admin.firestore.FieldPath.documentId(), 'desc');
+    if (cursor) {
+      const after = decodeCursor(cursor);
+      query = query.startAfter(after.createdAt, after.id);
+    }
+
+    const snapshot = await query.limit(limit + 1).get();
+    const docs = snapshot.docs.slice(0, limit);
+    const items = docs.map((doc) => ({ id: doc.id, userId: doc.ref.parent.parent.id, ...doc.data() }));
+    const last = docs[docs.length - 1];
+    const nextCursor = snapshot.size > limit ? encodeCursor({ createdAt: last.get('createdAt'), id: last.ref.path }) : null;
+    return { items, nextCursor };
+  },
+
+  /**
+   * Scans the user marked as eaten between two ISO timestamps, oldest first.
+   * A range on a single field needs no composite index.
+   * @param {string} userId
+   * @param {{ from: string, to: string }} range
+   * @returns {Promise<Array<object>>}
+   */
+  async listEaten(userId, { from, to }) {
+    const snapshot = await scansCol(userId)
+      .where('eatenAt', '>=', from)
+      .where('eatenAt', '<=', to)
+      .orderBy('eatenAt', 'asc')
+      .get();
+    return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  },
+
+  /**
+   * Deletes every scan of a user. Firestore doesn't cascade subcollection
+   * deletes, so this pages through the collection in batches.
+   * @returns {Promise<number>} Number of deleted scans.
+   */
+  async deleteAllForUser(userId) {
+    let deleted = 0;
+    for (;;) {
+      const snapshot = await scansCol(userId).limit(BATCH_SIZE).get();
+      if (snapshot.empty) return deleted;
+      const batch = db.batch();
+      snapshot.docs.forEach((doc) => batch.delete(doc.ref));
+      await batch.commit();
+      deleted += snapshot.size;
+    }
+  }
+};
+
+// Reviewed scans kept as evaluation data, keyed by `${userId}_${scanId}`
+const examples = {
+  // Creates or replaces the example with this id
+  async save(id, data) {
+    await examplesCol().doc(id).set(data);
+    return { id, ...data };
+  },
+
+  /**
+   * Lists labelled examples, most recently reviewed first.
+   * @param {{ type?: string }} [options]
+   * @returns {Promise<Array<object>>}
+   */
+  async list({ type } = {}) {
+    let query = examplesCol();
+    if (type) query = query.where('type', '==', type);
+    const snapshot = await query.orderBy('reviewedAt', 'desc').get();
+    return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  },
+
+  /**
+   * Deletes the examples made from a user's scans.
+   */
+  async deleteAllForUser(userId) {
+    const snapshot = await examplesCol().where('userId', '==', userId).get();
+    for (let i = 0; i < snapshot.docs.length; i += BATCH_SIZE) {
+      const batch = db.batch();
+      snapshot.docs.slice(i, i + BATCH_SIZE).forEach((doc) => batch.delete(doc.ref));
+      await batch.commit();
+    }
+  }
+};
+
+const images = {
+  /**
+   * Uploads a local file to the bucket.
+   * @param {string} localFilePath - Temp file written by multer.
+   * @param {{ destination: string, contentType: string }} options
+   * @returns {Promise<{ path: string, url: string }>}
+   */
+  async upload(localFilePath, { destination, contentType }) {
+    await bucket.upload(localFilePath, {
+      destination,
+      metadata: { contentType }
+    });
+    return {
+      path: destination,
+      url: `https://storage.googleapis.com/${bucket.name}/${destination}`
+    };
+  },
+
+  /**
+   * Deletes every stored image under a path prefix (e.g. `scans/{userId}/`).
+   */
+  async deletePrefix(prefix) {
+    await bucket.deleteFiles({ prefix });
+  }
+};
+
+module.exports = { users, scans, examples, images };
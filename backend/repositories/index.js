@@ -0,0 +1,37 @@
+// repositories/index.js
+// Data access layer used by the routes. Picks the Firestore/Cloud Storage
+// implementation or the local JSON-file implementation from STORAGE_BACKEND.
+//
+// Every backend exposes the same four repositories:
+//   users    - user profile documents
+//   scans    - per-user scan records (users/{userId}/scans)
+//   examples - reviewed scans kept as labelled evaluation data
+//   images   - uploaded scan images
+// plus scanImagePath() for naming the images.
+
+const crypto = require('crypto');
+const config = require('../config');
+
+const backends = {
+  firestore: () => require('./firestoreRepository'),
+  local: () => require('./localRepository')
+};
+
+const load = backends[config.storage.backend];
+if (!load) {
+  throw new Error(`Unknown STORAGE_BACKEND "${config.storage.backend}". Use one of: ${Object.keys(backends).join(', ')}`);
+}
+
+/**
+ * Storage path for a scan photo. Image URLs are fetched without a token (the
+ * bucket's public URL, or /files in local mode), so the file name carries 128
+ * random bits instead of being guessable from the user id and the time.
+ * @param {string} userId
+ * @param {string} name - e.g. the upload's originalname.
+ * @returns {string} "scans/<userId>/<time>_<random>_<name>"
+ */
+function scanImagePath(userId, name) {
+  return `scans/${userId}/${Date.now()}_${crypto.randomBytes(16).toString('hex')}_${name}`;
+}
+
+module.exports = { ...load(), scanImagePath };
@@ -0,0 +1,229 @@
+// repositories/localRepository.js
+// Local implementation of the repository layer: documents live in a single
+// JSON file and images are copied into an uploads directory that server.js
+// serves under /files. Lets the backend run with no Google project.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { encodeCursor, decodeCursor } = require('./cursor');
+
+const { dataDir, publicUrl } = config.storage.local;
+const dbFile = path.join(dataDir, 'db.json');
+const uploadsDir = path.join(dataDir, 'uploads');
+
+let state = null;
+
+// --- JSON file helpers ---
+
+function load() {
+  if (!state) {
+    state = fs.existsSync(dbFile)
+      ? JSON.parse(fs.readFileSync(dbFile, 'utf8'))
+      : { users: {}, scans: {} };
+    // Files written before labelled examples existed
+    state.examples = state.examples || {};
+  }
+  return state;
+}
+
+function save() {
+  fs.mkdirSync(dataDir, { recursive: true });
+  // Write to a temp file and rename so a crash never leaves half a file
+  const tmpFile = `${dbFile}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(state, null, 2));
+  fs.renameSync(tmpFile, dbFile);
+}
+
+const newId = () => crypto.randomUUID().replace(/-/g, '').slice(0, 20);
+
+// Copies so callers can't mutate stored documents by accident
+const clone = (doc) => JSON.parse(JSON.stringify(doc));
+
+const users = {
+  // `id` lets the caller pick the document id (the auth uid)
+  async create(data, { id = newId() } = {}) {
+    load().users[id] = clone(data);
+    save();
+    return { id, ...clone(data) };
+  },
+
+  async get(id) {
+    const doc = load().users[id];
+    return doc ? { id, ...clone(doc) } : null;
+  },
+
+  async update(id, patch) {
+    const doc = load().users[id];
+    if (!doc) return null;
+    Object.assign(doc, clone(patch));
+    save();
+    return { id, ...clone(doc) };
+  },
+
+  async delete(id) {
+    if (!load().users[id]) return false;
+    delete state.users[id];
+    save();
+    return true;
+  }
+};
+
+const scans = {
+  async create(userId, data) {
+    const id = newId();
+    const byUser = load().scans;
+    byUser[userId] = byUser[userId] || {};
+    byUser[userId][id] = clone(data);
+    save();
+    return { id, ...clone(data) };
+  },
+
+  async get(userId, scanId) {
+    const doc = load().scans[userId]?.[scanId];
+    return doc ? { id: scanId, ...clone(doc) } : null;
+  },
+
+  async update(userId, scanId, patch) {
+    const doc = load().scans[userId]?.[scanId];
+    if (!doc) throw new Error(`Scan ${scanId} not found for user ${userId}`);
+    Object.assign(doc, clone(patch));
+    save();
+  },
+
+  /**
+   * Lists a user's scans, newest first, with the same filters and cursor
+   * semantics as the Firestore backend.
+   */
+  async list(userId, { type, riskLevel, status, from, to, limit, cursor }) {
+    const after = cursor ? decodeCursor(cursor) : null;
+    // (createdAt desc, id desc) ordering, compared as a tuple
+    const isBefore = (a, b) => a.createdAt < b.createdAt || (a.createdAt === b.createdAt && a.id < b.id);
+
+    const matches = Object.entries(load().scans[userId] || {})
+      .map(([id, doc]) => ({ id, ...clone(doc) }))
+      .filter((scan) => (!type || scan.type === type)
+        && (!riskLevel || scan.riskLevel === riskLevel)
+        && (!status || scan.status === status)
+        && (!from || scan.createdAt >= from)
+        && (!to || scan.createdAt <= to)
+        && (!after || isBefore(scan, after)))
+      .sort((a, b) => (isBefore(a, b) ? 1 : -1));
+
+    const items = matches.slice(0, limit);
+    const nextCursor = matches.length > limit ? encodeCursor(items[items.length - 1]) : null;
+    return { items, nextCursor };
+  },
+
+  /**
+   * Lists every user's scans for the admin console, newest first. Items carry
+   * their userId; cursors use the scan's path so ids can't clash across users.
+   */
+  async listAll({ type, riskLevel, status, maxConfidence, from, to, limit, cursor }) {
+    const after = cursor ? decodeCursor(cursor) : null;
+    const isBefore = (a, b) => a.createdAt < b.createdAt || (a.createdAt === b.createdAt && a.path < b.path);
+
+    const matches = Object.entries(load().scans)
+      .flatMap(([userId, byId]) => Object.entries(byId)
+        .map(([id, doc]) => ({ id, userId, path: `users/${userId}/scans/${id}`, ...clone(doc) })))
+      .filter((scan) => (!type || scan.type === type)
+        && (!riskLevel || scan.riskLevel === riskLevel)
+        && (!status || scan.status === status)
+        && (maxConfidence === undefined || (typeof scan.confidence === 'number' && scan.confidence <= maxConfidence))
+        && (!from || scan.createdAt >= from)
+        && (!to || scan.createdAt <= to)
+        && (!after || isBefore(scan, { createdAt: after.createdAt, path: after.id })))
+      .sort((a, b) => (isBefore(a, b) ? 1 : -1));
+
+    const page = matches.slice(0, limit);
+    const last = page[page.length - 1];
+    const nextCursor = matches.length > limit ? encodeCursor({ createdAt: last.createdAt, id: last.path }) : null;
+    return { items: page.map(({ path: scanPath, ...scan }) => scan), nextCursor };
+  },
+
+  /**
+   * Scans the user marked as eaten between two ISO timestamps, oldest first.
+   */
+  async listEaten(userId, { from, to }) {
+    return Object.entries(load().scans[userId] || {})
+      .map(([id, doc]) => ({ id, ...clone(doc) }))
+      .filter((scan) => scan.eatenAt && scan.eatenAt >= from && scan.eatenAt <= to)
+      .sort((a, b) => (a.eatenAt < b.eatenAt ? -1 : 1));
+  },
+
+  /**
+   * Deletes every scan of a user.
+   * @returns {Promise<number>} Number of deleted scans.
+   */
+  async deleteAllForUser(userId) {
+    const deleted = Object.keys(load().scans[userId] || {}).length;
+    delete state.scans[userId];
+    save();
+    return deleted;
+  }
+};
+
+// Reviewed scans kept as evaluation data, keyed by `${userId}_${scanId}`
+const examples = {
+  // Creates or replaces the example with this id
+  async save(id, data) {
+    load().examples[id] = clone(data);
+    save();
+    return { id, ...clone(data) };
+  },
+
+  /**
+   * Lists labelled examples, most recently reviewed first.
+   */
+  async list({ type } = {}) {
+    return Object.entries(load().examples)
+      .map(([id, doc]) => ({ id, ...clone(doc) }))
+      .filter((example) => !type || example.type === type)
+      .sort((a, b) => (a.reviewedAt < b.reviewedAt ? 1 : -1));
+  },
+
+  /**
+   * Deletes the examples made from a user's scans.
+   */
+  async deleteAllForUser(userId) {
+    for (const [id, doc] of Object.entries(load().examples)) {
+      if (doc.userId === userId) delete state.examples[id];
+    }
+    save();
+  }
+};
+
+const images = {
+  /**
+   * Copies a local file into the uploads directory.
+   * @param {string} localFilePath - Temp file written by multer.
+   * @param {{ destination: string, contentType: string }} options
+   * @returns {Promise<{ path: string, url: string }>}
+   */
+  async upload(localFilePath, { destination }) {
+    const target = path.join(uploadsDir, destination);
+    if (!target.startsWith(uploadsDir + path.sep)) {
+      throw new Error(`Invalid image destination: ${destination}`);
+    }
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.copyFileSync(localFilePath, target);
+    return {
+      path: destination,
+      url: `${publicUrl}/files/${destination.split('/').map(encodeURIComponent).join('/')}`
+    };
+  },
+
+  /**
+   * Deletes every stored image under a path prefix (e.g. `scans/{userId}/`).
+   */
+  async deletePrefix(prefix) {
+    const target = path.join(uploadsDir, prefix);
+    if (!target.startsWith(uploadsDir + path.sep)) {
+      throw new Error(`Invalid image prefix: ${prefix}`);
+    }
+    fs.rmSync(target, { recursive: true, force: true });
+  }
+};
+
+module.exports = { users, scans, examples, images, uploadsDir };
@@ -0,0 +1,161 @@
+// routes/admin.js
+// Review console API: every user's scans, filtered down to the ones worth a
+// second look (failed, low confidence, high risk), with their image and raw
+// model output; reviewers correct results and mark them human-verified.
+const express = require('express');
+const router = express.Router();
+const z = require('zod');
+const config = require('../config');
+const { scans, examples } = require('../repositories');
+const { reviewSchema, reviewScan } = require('../services/review');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+
+// Admins only: ADMIN_UIDS or the Firebase `admin` claim
+router.use(requireAuth, requireAdmin);
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Same date handling as the history route: a plain `to` date includes the whole day
+const isoDate = (endOfDay) => z.string().trim()
+  .refine((value) => !Number.isNaN(Date.parse(value)), 'must be an ISO date')
+  .transform((value) => (DATE_ONLY.test(value) && endOfDay
+    ? `${value}T23:59:59.999Z`
+    : new Date(value).toISOString()));
+
+const flag = z.enum(['1', 'true', '0', 'false']).transform((value) => value === '1' || value === 'true');
+
+const AdminScansQuerySchema = z.object({
+  type: z.enum(['meal', 'drink']).optional(),
+  risk_level: z.string().trim().toUpperCase().pipe(z.enum(['CRITICAL', 'MODERATE', 'SAFE'])).optional(),
+  status: z.enum(['pending', 'completed', 'failed']).optional(),
+  max_confidence: z.coerce.number().min(0).max(100).optional(),
+  low_confidence: flag.optional(),
+  from: isoDate(false).optional(),
+  to: isoDate(true).optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+  cursor: z.string().optional()
+});
+
+const ExamplesQuerySchema = z.object({
+  type: z.enum(['meal', 'drink']).optional(),
+  format: z.enum(['json', 'jsonl']).default('json')
+});
+
+const invalid = (res, parsed) => {
+  const issue = parsed.error.issues[0];
+  return res.status(400).json({ error: true, message: `Invalid ${issue.path.join('.')}: ${issue.message}` });
+};
+
+// Lists leave out the bulky fields; the detail route has them
+const summary = ({ rawOutput, originalResult, ...scan }) => scan;
+
+/**
+ * GET /api/admin/scans
+ * Query: type=meal|drink, risk_level, status, max_confidence (0-100) or
+ *        low_confidence=1 (REVIEW_LOW_CONFIDENCE and below), from, to,
+ *        limit (1-100, default 20), cursor
+ * Response: { scans: [{ id, userId, ... }], nextCursor: string | null }
+ * Confidence filters only match drink scans; meal results have no score.
+ */
+router.get('/scans', async (req, res) => {
+  const parsed = AdminScansQuerySchema.safeParse(req.query);
+  if (!parsed.success) return invalid(res, parsed);
+  const { risk_level: riskLevel, max_confidence: maxConfidence, low_confidence: lowConfidence, ...filters } = parsed.data;
+
+  try {
+    let page;
+    try {
+      page = await scans.listAll({
+        ...filters,
+        riskLevel,
+        maxConfidence: maxConfidence ?? (lowConfidence ? config.review.lowConfidence : undefined)
+      });
+    } catch (err) {
+      if (err.message === 'Invalid cursor') return res.status(400).json({ error: true, message: err.message });
+      throw err;
+    }
+
+    return res.json({ scans: page.items.map(summary), nextCursor: page.nextCursor });
+  } catch (err) {
+    console.error('Error listing scans for review:', err);
+    return res.status(500).json({ error: true, message: err.message });
+  }
+});
+
+/**
+ * GET /api/admin/scans/:userId/:scanId
+ * The full record: result, rawOutput (the model's text), originalResult
+ * (before review) and review.
+ */
+router.get('/scans/:userId/:scanId', async (req, res) => {
+  try {
+    const scan = await scans.get(req.params.userId, req.params.scanId);
+    if (!scan) return res.status(404).json({ error: true, message: 'Scan not found' });
+
+    return res.json({ ...scan, userId: req.params.userId });
+  } catch (err) {
+    console.error('Error loading scan for review:', err);
+    return res.status(500).json({ error: true, message: err.message });
+  }
+});
+
+/**
+ * PUT /api/admin/scans/:userId/:scanId/review
+ * Request body: { corrections: { brandName, keyIngredients, risk_level, ... },
+ *                 verified: true, note: "..." }
+ * Drink scans take brandName, productType, manufacturer, keyIngredients,
+ * expiryDate, warnings, risk_level and risk_score; meal scans risk_level,
+ * risk_score, localized_visible_ingredients, hidden_ingredients,
+ * allergy_risk_summary and health_risk_summary. Saves the corrected result on the scan and the scan as
+ * a labelled example.
+ * Response: { status, scan, exampleId }
+ */
+router.put('/scans/:userId/:scanId/review', async (req, res) => {
+  try {
+    const { userId, scanId } = req.params;
+    const stored = await scans.get(userId, scanId);
+    if (!stored) return res.status(404).json({ error: true, message: 'Scan not found' });
+    if (stored.status === 'pending') {
+      return res.status(409).json({ error: true, message: 'Scan is still being analyzed' });
+    }
+
+    const parsed = reviewSchema(stored.type).safeParse(req.body || {});
+    if (!parsed.success) return invalid(res, parsed);
+
+    const scan = { ...stored, userId };
+    const { patch, exampleId, example } = reviewScan(scan, parsed.data, req.user.uid);
+    await scans.update(userId, scanId, patch);
+    await examples.save(exampleId, example);
+
+    return res.json({ status: 'Review saved', scan: { ...scan, ...patch }, exampleId });
+  } catch (err) {
+    console.error('Error saving review:', err);
+    return res.status(500).json({ error: true, message: err.message });
+  }
+});
+
+/**
+ * GET /api/admin/examples
+ * Query: type=meal|drink, format=json|jsonl
+ * Labelled examples from reviews, most recent first: { examples: [...] }, or
+ * one example per line with format=jsonl.
+ */
+router.get('/examples', async (req, res) => {
+  const parsed = ExamplesQuerySchema.safeParse(req.query);
+  if (!parsed.success) return invalid(res, parsed);
+
+  try {
+    const items = await examples.list({ type: parsed.data.type });
+    if (parsed.data.format === 'jsonl') {
+      res.attachment('labelled-examples.jsonl');
+      res.type('application/x-ndjson');
+      return res.send(items.map((example) => JSON.stringify(example)).join('\n') + (items.length > 0 ? '\n' : ''));
+    }
+    return res.json({ examples: items });
+  } catch (err) {
+    console.error('Error listing labelled examples:', err);
+    return res.status(500).json({ error: true, message: err.message });
+  }
+});
+
+module.exports = router;
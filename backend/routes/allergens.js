@@ -0,0 +1,16 @@
+// routes/allergens.js
+// The allergen dictionary the rule engine uses (data/allergens.json). Public:
+// the frontend keeps a copy so label checks work offline (see allergens.js).
+const express = require('express');
+const router = express.Router();
+const allergenData = require('../data/allergens.json');
+
+/**
+ * GET /api/allergens
+ * Response: { version, groups: [{ id, label, aliases, terms, exclude }] }
+ */
+router.get('/', (req, res) => {
+  res.json(allergenData);
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+// routes/analyzeText.js
+// POST /api/analyze-text: the meal check for food the user types instead of
+// photographing (an ingredient list, a recipe or a pasted menu). Each dish
+// gets a verdict for the household, checked by the allergen rules like a
+// meal scan. The rules also always run on the text as typed, even when the
+// model fails. Nothing is uploaded or stored.
+const express = require('express');
+const router = express.Router();
+const z = require('zod');
+const { users } = require('../repositories');
+const { requireAuth, requireOwner } = require('../middleware/auth');
+const { selectMembers, analysisProfile } = require('../services/household');
+const { resolveLanguage } = require('../services/i18n');
+const { analyzeTextCached } = require('../services/analysisCache');
+const { applyHouseholdAllergenRules } = require('../services/allergenEngine');
+const {
+  splitIngredients, withTypedIngredients, withUnassignedCheck, withOverallRisk
+} = require('../services/textAnalyzer');
+
+const MAX_TEXT_LENGTH = 8000;
+
+// --- Schema Definition (Zod) ---
+const AnalyzeTextSchema = z.object({
+  text: z.string().trim().min(1, 'type some ingredients, a recipe or a menu').max(MAX_TEXT_LENGTH),
+  // Household member ids or "all", as for POST /api/scan
+  members: z.union([z.string(), z.array(z.string())]).optional(),
+  language: z.string().trim().optional(),
+  userId: z.string().optional()
+});
+
+// ------------------ POST /api/analyze-text ------------------
+// The analysis belongs to the token's user; a userId field, if sent, must match it.
+router.post('/', requireAuth, requireOwner((req) => req.body?.userId), async (req, res) => {
+  const parsed = AnalyzeTextSchema.safeParse(req.body || {});
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    return res.status(400).json({ error: true, message: `Invalid ${issue.path.join('.')}: ${issue.message}` });
+  }
+  const { text, members: selection, language: requestedLanguage } = parsed.data;
+
+  try {
+    const userProfile = await users.get(req.user.uid);
+    if (!userProfile) return res.status(404).json({ error: true, message: 'User profile not found' });
+
+    // "Who is eating": defaults to the account holder
+    const { members, unknown } = selectMembers(userProfile, selection);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: true, message: `Unknown household member: ${unknown.join(', ')}` });
+    }
+
+    const safeProfile = analysisProfile(members);
+    safeProfile.language = resolveLanguage(requestedLanguage || req.query.lang, userProfile.language);
+
+    const { result, cacheStatus } = await analyzeTextCached(text, safeProfile);
+    res.set('X-Analysis-Cache', cacheStatus);
+
+    if (result.error) {
+      console.error('❌ Text analysis failed:', result.message);
+      // No verdict without the model, but a typed allergen is still reported
+      const typedCheck = applyHouseholdAllergenRules(
+        { typed_ingredients: splitIngredients(text), localized_actionable_fixes: [] }, members, safeProfile.language);
+      return res.json({
+        status: 'AI analysis failed',
+        aiResult: {
+          error: true,
+          message: result.message,
+          risk_level: typedCheck.risk_level || null,
+          allergen_rule_hits: typedCheck.allergen_rule_hits,
+          possible_allergen_hits: typedCheck.possible_allergen_hits,
+          localized_actionable_fixes: typedCheck.localized_actionable_fixes
+        }
+      });
+    }
+
+    // The rules can only raise a dish's verdict, so the overall one is worked out again after them
+    const { rawResponse, promptVersion, ...textResult } = result;
+    const withTyped = withTypedIngredients(textResult, text);
+    const aiResult = withUnassignedCheck(withOverallRisk({
+      ...withTyped,
+      dishes: withTyped.dishes.map((dish) => applyHouseholdAllergenRules(dish, members, safeProfile.language))
+    }), members, safeProfile.language);
+
+    return res.json({ status: 'Text analyzed', aiResult });
+
+  } catch (err) {
+    console.error('Error in analyze-text route:', err);
+    return res.status(500).json({ error: true, message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,31 @@
+// routes/auth.js
+// Dev-mode token issuing. Only mounted when AUTH_MODE=dev; in production the
+// frontend signs in with Firebase Auth and sends its ID token.
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const z = require('zod');
+const config = require('../config');
+const { signDevToken } = require('../middleware/auth');
+
+const DevTokenSchema = z.object({
+  // Reuse a uid to get a fresh token for an existing dev user
+  uid: z.string().trim().regex(/^[A-Za-z0-9_-]{1,128}$/, 'uid may only contain letters, digits, _ and -').optional()
+});
+
+/**
+ * POST /api/auth/dev-token
+ * Request body: { "uid": "optional-existing-uid" }
+ * Response: { token, uid, expiresIn }
+ */
+router.post('/dev-token', (req, res) => {
+  const parsed = DevTokenSchema.safeParse(req.body || {});
+  if (!parsed.success) {
+    return res.status(400).json({ error: true, message: parsed.error.issues[0].message });
+  }
+
+  const uid = parsed.data.uid || crypto.randomUUID().replace(/-/g, '').slice(0, 20);
+  return res.json({ token: signDevToken(uid), uid, expiresIn: config.auth.devTokenTtl });
+});
+
+module.exports = router;
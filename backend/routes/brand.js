@@ -1,130 +1,321 @@
 // routes/brand.js
 const express = require('express');
 const router = express.Router();
-const multer = require('multer');
-const path = require('path');
 const fs = require('fs');
-const { db, admin } = require('../firebase');           // Firestore & Storage
-const { analyzeDrinkWithVertex } = require('../services/brandScanner'); // Vertex AI
-
-// ---------------- Multer setup for temporary storage ----------------
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = 'uploads/';
-    if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir);
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueName = `${Date.now()}${path.extname(file.originalname)}`;
-    cb(null, uniqueName);
+const { users, scans, images, scanImagePath } = require('../repositories'); // Profiles, scan records & image storage
+const { analyzeDrinkCached } = require('../services/analysisCache'); // Vertex AI, cached by image hash
+const { PROMPT_VERSION } = require('../services/brandScanner');
+const { applyHouseholdDrinkRules } = require('../services/allergenEngine');
+const { applyExpiry } = require('../services/expiryDate');
+const { applyAdditiveRules } = require('../services/additives');
+const { applyRecallChecks } = require('../services/recalls');
+const { applyDrinkHealthRules } = require('../services/drinkHealth');
+const { selectMembers } = require('../services/household');
+const { resolveLanguage } = require('../services/i18n');
+const { normalizeBarcode, decodeBarcodeFromImage } = require('../services/barcode');
+const { findProduct, productToDrinkResult } = require('../services/productCatalog');
+const config = require('../config');
+const { requireAuth, requireOwner } = require('../middleware/auth');
+const { uploadImage, uploadImages, retakeResponse } = require('../middleware/upload'); // Multer + image preprocessing
+
+// Scans belong to the token's user; a userId field, if still sent, must match it
+const ownScan = requireOwner((req) => req.body?.userId);
+
+// ---------------- Result helpers ----------------
+
+// Ensure all fields are always returned for frontend consistency
+function normalizeDrinkResult(result) {
+  return {
+    brandName: result.brandName || "Unknown",
+    productType: result.productType || "Unknown",
+    manufacturer: result.manufacturer || "",
+    keyIngredients: Array.isArray(result.keyIngredients) ? result.keyIngredients : [],
+    expiryDate: result.expiryDate || "",
+    warnings: Array.isArray(result.warnings) ? result.warnings : [],
+    confidenceScore: typeof result.confidenceScore === "number" ? result.confidenceScore : 0,
+    nutrition: result.nutrition || null,
+    localizedAdvice: result.localizedAdvice || "",
+    promotionalNote: result.promotionalNote || "",
+    fieldSources: result.fieldSources || {},
+    error: result.error || false,
+    message: result.message || null,
+  };
+}
+
+// Runs the (cached) Vertex analysis of the photos and reports the cache status
+// in the X-Analysis-Cache header; never throws, failures come back with error: true.
+// rawOutput is the model's text, stored on the scan record for review.
+async function analyzeDrink(res, photos, language) {
+  try {
+    const { result, cacheStatus } = await analyzeDrinkCached(photos, language);
+    res.set('X-Analysis-Cache', cacheStatus);
+    return { aiResult: normalizeDrinkResult(result), rawOutput: result.rawResponse ?? null };
+  } catch (aiErr) {
+    console.error('❌ Vertex AI analysis error:', aiErr);
+    return { aiResult: normalizeDrinkResult({ error: true, message: aiErr.message }), rawOutput: null };
   }
+}
+
+// Scan record fields the admin console filters and reviews on
+const reviewFields = (aiResult, rawOutput, source = 'vertex') => ({
+  confidence: typeof aiResult.confidenceScore === 'number' ? aiResult.confidenceScore : null,
+  promptVersion: source === 'vertex' ? PROMPT_VERSION : null,
+  rawOutput
 });
-const upload = multer({ storage });
+
+// Sides of the package a photo can show. Unlabelled photos are taken as the
+// front, then the back, then sides: the order drink.html asks for them in.
+const PHOTO_LABELS = ['front', 'back', 'side', 'top', 'bottom'];
+const DEFAULT_LABELS = ['front', 'back'];
+
+// Pairs uploaded files with the `labels` field (comma-separated or repeated)
+function labelPhotos(files, labels) {
+  const given = (Array.isArray(labels) ? labels : String(labels || '').split(','))
+    .map((label) => String(label).trim().toLowerCase());
+  const photos = files.map((file, index) => ({
+    path: file.path,
+    mimeType: file.mimetype,
+    originalname: file.originalname,
+    label: given[index] || DEFAULT_LABELS[index] || 'side'
+  }));
+  return { photos, invalid: photos.map((photo) => photo.label).filter((label) => !PHOTO_LABELS.includes(label)) };
+}
+
+// Stores each photo; the first one's URL is the scan's imageUrl
+async function uploadPhotos(userId, photos) {
+  const stored = [];
+  for (const photo of photos) {
+    const { url } = await images.upload(photo.path, {
+      destination: scanImagePath(userId, `${photo.label}_${photo.originalname}`),
+      contentType: photo.mimeType
+    });
+    stored.push({ label: photo.label, url });
+  }
+  return stored;
+}
+
+// The first barcode found on any of the photos
+async function decodeBarcodeFromPhotos(photos) {
+  for (const photo of photos) {
+    const barcode = normalizeBarcode(await decodeBarcodeFromImage(photo.path));
+    if (barcode) return barcode;
+  }
+  return null;
+}
+
+const removePhotos = (photos) => photos.forEach((photo) => {
+  if (fs.existsSync(photo.path)) fs.unlinkSync(photo.path);
+});
+
+// "Who is drinking": resolves the members field against the household.
+// Without a saved profile there is nobody to check allergies for.
+// Also picks the output language: the request's, else the profile's.
+async function drinkMembers(userId, body) {
+  const profile = await users.get(userId);
+  const language = resolveLanguage(body.language, profile?.language);
+  const selection = profile ? selectMembers(profile, body.members) : { members: [], unknown: [] };
+  return { ...selection, language };
+}
 
 // ---------------- POST /api/scan-brand ----------------
-router.post('/scan-brand', upload.single('image'), async (req, res) => {
-  let localFilePath;
+// Up to config.images.maxDrinkImages photos of one product in `image`, with
+// the side each shows in `labels` (e.g. "front,back"); all go to the model together.
+router.post('/scan-brand', requireAuth, uploadImages('image', { maxCount: config.images.maxDrinkImages }), ownScan, async (req, res) => {
+  let photos = [];
 
   try {
-    const { userId } = req.body;
-    if (!userId) return res.status(400).json({ error: true, message: 'User ID is required' });
-    if (!req.file) return res.status(400).json({ error: true, message: 'No image uploaded' });
-
-    localFilePath = req.file.path;
-    // 💡 NEW LINE: Extract the correct MIME type from the file object
-    const fileMimeType = req.file.mimetype; 
-    
-    const bucket = admin.storage().bucket();
-    const fileName = `scans/${userId}/${Date.now()}_${req.file.originalname}`;
-
-    // ---------------- Upload image to Firebase Storage ----------------
-    await bucket.upload(localFilePath, {
-      destination: fileName,
-      metadata: { contentType: req.file.mimetype }
+    const userId = req.user.uid;
+    if (!req.files?.length) return res.status(400).json({ error: true, message: 'No image uploaded' });
+
+    let invalid;
+    ({ photos, invalid } = labelPhotos(req.files, req.body.labels));
+    if (invalid.length > 0) {
+      removePhotos(photos);
+      return res.status(400).json({ error: true, message: `Unknown photo label: ${invalid.join(', ')} (use ${PHOTO_LABELS.join(', ')})` });
+    }
+
+    const { members, unknown, language } = await drinkMembers(userId, req.body);
+    if (unknown.length > 0) {
+      removePhotos(photos);
+      return res.status(400).json({ error: true, message: `Unknown household member: ${unknown.join(', ')}` });
+    }
+
+    // ---------------- Upload the photos to storage ----------------
+    const storedPhotos = await uploadPhotos(userId, photos);
+    const imageUrl = storedPhotos[0].url;
+
+    // ---------------- Create initial scan record ----------------
+    const scanRecord = await scans.create(userId, {
+      type: 'drink',
+      memberIds: members.map((member) => member.id),
+      imageUrl,
+      images: storedPhotos,
+      createdAt: new Date().toISOString(),
+      status: 'pending',
+      result: null
     });
-    const imageUrl = `https://storage.googleapis.com/${bucket.name}/${fileName}`;
-
-    // ---------------- Create initial Firestore record ----------------
-    const scanDocRef = await db.collection('users')
-      .doc(userId)
-      .collection('scans')
-      .add({
-        imageUrl,
-        createdAt: new Date().toISOString(),
-        status: 'pending',
-        result: null
-      });
 
     // ---------------- Call Vertex AI to analyze the drink ----------------
-    let aiResult;
-    try {
-      // 🎯 MODIFIED LINE: Pass the fileMimeType to the analysis function
-      aiResult = await analyzeDrinkWithVertex(localFilePath, fileMimeType); 
-
-      // Ensure all fields are always returned for frontend consistency
-      aiResult = {
-        brandName: aiResult.brandName || "Unknown",
-        productType: aiResult.productType || "Unknown",
-        manufacturer: aiResult.manufacturer || "",
-        keyIngredients: Array.isArray(aiResult.keyIngredients) ? aiResult.keyIngredients : [],
-        expiryDate: aiResult.expiryDate || "",
-        warnings: Array.isArray(aiResult.warnings) ? aiResult.warnings : [],
-        confidenceScore: typeof aiResult.confidenceScore === "number" ? aiResult.confidenceScore : 0,
-        localizedAdvice: aiResult.localizedAdvice || "",
-        promotionalNote: aiResult.promotionalNote || "",
-        error: aiResult.error || false,
-        message: aiResult.message || null,
-      };
-
-    } catch (aiErr) {
-      console.error('❌ Vertex AI analysis error:', aiErr);
-      aiResult = {
-        brandName: "Unknown",
-        productType: "Unknown",
-        manufacturer: "",
-        keyIngredients: [],
-        expiryDate: "",
-        warnings: [],
-        confidenceScore: 0,
-        localizedAdvice: "",
-        promotionalNote: "",
-        error: true,
-        message: aiErr.message
-      };
-    }
+    let { aiResult, rawOutput } = await analyzeDrink(res, photos, language);
+
+    // ---------------- Read the printed expiry date ----------------
+    if (!aiResult.error) aiResult = applyExpiry(aiResult, language);
+
+    // ---------------- Look up additives in the bundled database ----------------
+    if (!aiResult.error) aiResult = applyAdditiveRules(aiResult);
+
+    // ---------------- Cross-check ingredients with each member's allergies ----------------
+    if (!aiResult.error && members.length > 0) aiResult = applyHouseholdDrinkRules(aiResult, members, language);
 
-    // ---------------- Update Firestore with AI result ----------------
+    // ---------------- Personal verdict from health conditions and diet ----------------
+    if (!aiResult.error) aiResult = applyDrinkHealthRules(aiResult, members, language);
+
+    // ---------------- Check the recall watchlist, even if the AI failed ----------------
+    // Without a brand name the barcode on the photos is the only thing to go on
+    const barcode = aiResult.error ? await decodeBarcodeFromPhotos(photos) : null;
+    aiResult = applyRecallChecks(aiResult, { barcode, product: barcode ? findProduct(barcode) : null }, language);
+
+    // ---------------- Update scan record with AI result ----------------
     try {
-      await db.collection('users').doc(userId)
-        .collection('scans').doc(scanDocRef.id)
-        .update({
-          status: aiResult.error ? 'failed' : 'completed',
-          result: aiResult
-        });
-    } catch (firestoreErr) {
-      console.error('❌ Firestore update failed:', firestoreErr);
+      await scans.update(userId, scanRecord.id, {
+        status: aiResult.error ? 'failed' : 'completed',
+        riskLevel: aiResult.risk_level || null,
+        ...reviewFields(aiResult, rawOutput),
+        result: aiResult
+      });
+    } catch (storeErr) {
+      console.error('❌ Scan record update failed:', storeErr);
     }
 
-    // ---------------- Cleanup temp file ----------------
-    if (localFilePath && fs.existsSync(localFilePath)) fs.unlinkSync(localFilePath);
+    // ---------------- Cleanup temp files ----------------
+    removePhotos(photos);
 
     // ---------------- Return result to frontend ----------------
     return res.json({
       status: aiResult.error ? 'AI analysis failed' : 'Scan analyzed',
-      scanId: scanDocRef.id,
+      scanId: scanRecord.id,
       imageUrl,
+      images: storedPhotos,
       aiResult
     });
 
   } catch (err) {
     console.error('Error in brand scan route:', err);
-    if (localFilePath && fs.existsSync(localFilePath)) fs.unlinkSync(localFilePath);
+    removePhotos(photos.length > 0 ? photos : req.files || []);
+    return res.status(500).json({
+      error: true,
+      message: err.message,
+      stack: err.stack,
+      details: err
+    });
+  }
+});
+
+// ---------------- POST /api/scan-barcode ----------------
+// Accepts `code` (EAN/UPC digits) and/or an `image` to decode the barcode from.
+// Catalog hits answer instantly; the Vertex photo analysis only runs on a miss.
+// Photo quality only matters for that fallback, so it is checked here, not on upload.
+router.post('/scan-barcode', requireAuth, uploadImage('image', { requireUsable: false }), ownScan, async (req, res) => {
+  const localFilePath = req.file?.path;
+
+  try {
+    const userId = req.user.uid;
+    const { code } = req.body || {};
+    if (!code && !req.file) return res.status(400).json({ error: true, message: 'A barcode or an image is required' });
+
+    const { members, unknown, language } = await drinkMembers(userId, req.body);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: true, message: `Unknown household member: ${unknown.join(', ')}` });
+    }
+
+    // ---------------- Resolve the barcode ----------------
+    let barcode = null;
+    if (code) {
+      barcode = normalizeBarcode(code);
+      if (!barcode) return res.status(400).json({ error: true, message: `Invalid EAN/UPC code: ${code}` });
+    } else {
+      barcode = normalizeBarcode(await decodeBarcodeFromImage(localFilePath));
+    }
+
+    // ---------------- Catalog lookup, Vertex fallback ----------------
+    const product = barcode ? findProduct(barcode) : null;
+    if (!product && !req.file) {
+      return res.status(404).json({ error: true, message: `Product ${barcode} not found in catalog`, barcode });
+    }
+    if (!product && !req.file.quality.usable) {
+      return res.status(422).json({ ...retakeResponse(req.file.quality, language), barcode });
+    }
+
+    let imageUrl = null;
+    if (req.file) {
+      ({ url: imageUrl } = await images.upload(localFilePath, {
+        destination: scanImagePath(userId, req.file.originalname),
+        contentType: req.file.mimetype
+      }));
+    }
+
+    const scanRecord = await scans.create(userId, {
+      type: 'drink',
+      memberIds: members.map((member) => member.id),
+      barcode,
+      imageUrl,
+      createdAt: new Date().toISOString(),
+      status: 'pending',
+      result: null
+    });
+
+    const source = product ? 'catalog' : 'vertex';
+    let { aiResult, rawOutput } = product
+      ? { aiResult: productToDrinkResult(product), rawOutput: null }
+      : await analyzeDrink(res, labelPhotos([req.file]).photos, language);
+
+    // ---------------- Read the printed expiry date ----------------
+    if (!aiResult.error) aiResult = applyExpiry(aiResult, language);
+
+    // ---------------- Look up additives in the bundled database ----------------
+    if (!aiResult.error) aiResult = applyAdditiveRules(aiResult);
+
+    // ---------------- Cross-check ingredients with each member's allergies ----------------
+    if (!aiResult.error && members.length > 0) aiResult = applyHouseholdDrinkRules(aiResult, members, language);
+
+    // ---------------- Personal verdict from health conditions and diet ----------------
+    if (!aiResult.error) aiResult = applyDrinkHealthRules(aiResult, members, language);
+
+    // ---------------- Check the recall watchlist, even if the AI failed ----------------
+    aiResult = applyRecallChecks(aiResult, { barcode, product }, language);
+
+    try {
+      await scans.update(userId, scanRecord.id, {
+        status: aiResult.error ? 'failed' : 'completed',
+        riskLevel: aiResult.risk_level || null,
+        ...reviewFields(aiResult, rawOutput, source),
+        source,
+        result: aiResult
+      });
+    } catch (storeErr) {
+      console.error('❌ Scan record update failed:', storeErr);
+    }
+
+    return res.json({
+      status: aiResult.error ? 'AI analysis failed' : 'Scan analyzed',
+      scanId: scanRecord.id,
+      imageUrl,
+      barcode,
+      source,
+      aiResult
+    });
+
+  } catch (err) {
+    console.error('Error in barcode scan route:', err);
     return res.status(500).json({
       error: true,
       message: err.message,
       stack: err.stack,
       details: err
     });
+  } finally {
+    // Temp upload is removed on every path, including the early returns
+    if (localFilePath && fs.existsSync(localFilePath)) fs.unlinkSync(localFilePath);
   }
 });
 
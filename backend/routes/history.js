@@ -0,0 +1,106 @@
+// routes/history.js
+// Read-only access to the scan records written by /api/scan and /api/scan-brand.
+const express = require('express');
+const router = express.Router();
+const z = require('zod');
+const { users, scans } = require('../repositories');
+const { requireAuth, requireOwner } = require('../middleware/auth');
+
+// Users can only read their own history
+router.use(requireAuth);
+const ownHistory = requireOwner((req) => req.params.userId);
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// What a user sees of a scan record. The model's raw reply, the prompt
+// version, the confidence and the review (originalResult, review,
+// humanVerified) are for the admin console only (routes/admin.js).
+function toHistoryScan(scan) {
+  return {
+    id: scan.id,
+    type: scan.type,
+    memberIds: scan.memberIds,
+    createdAt: scan.createdAt,
+    status: scan.status,
+    stage: scan.stage,
+    riskLevel: scan.riskLevel || null,
+    imageUrl: scan.imageUrl || null,
+    images: scan.images,
+    barcode: scan.barcode,
+    source: scan.source,
+    eatenAt: scan.eatenAt,
+    result: scan.result || null
+  };
+}
+
+// Accepts a full ISO timestamp or a plain YYYY-MM-DD date. `endOfDay` makes
+// a plain `to` date include the whole day.
+const isoDate = (endOfDay) => z.string().trim()
+  .refine((value) => !Number.isNaN(Date.parse(value)), 'must be an ISO date')
+  .transform((value) => (DATE_ONLY.test(value) && endOfDay
+    ? `${value}T23:59:59.999Z`
+    : new Date(value).toISOString()));
+
+// --- Schema Definition for Query Validation (Zod) ---
+const HistoryQuerySchema = z.object({
+  type: z.enum(['meal', 'drink']).optional(),
+  risk_level: z.string().trim().toUpperCase().pipe(z.enum(['CRITICAL', 'MODERATE', 'SAFE'])).optional(),
+  status: z.enum(['pending', 'completed', 'failed']).optional(),
+  from: isoDate(false).optional(),
+  to: isoDate(true).optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+  cursor: z.string().optional()
+});
+
+/**
+ * GET /api/users/:userId/scans
+ * Query: type=meal|drink, risk_level, status, from, to (ISO dates),
+ *        limit (1-100, default 20), cursor (nextCursor of the previous page)
+ * Response: { scans: [...], nextCursor: string | null }
+ */
+router.get('/:userId/scans', ownHistory, async (req, res) => {
+  const parsed = HistoryQuerySchema.safeParse(req.query);
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    return res.status(400).json({ error: true, message: `Invalid ${issue.path.join('.')}: ${issue.message}` });
+  }
+  const { risk_level: riskLevel, ...filters } = parsed.data;
+
+  try {
+    const { userId } = req.params;
+    if (!(await users.get(userId))) {
+      return res.status(404).json({ error: true, message: 'User profile not found' });
+    }
+
+    let page;
+    try {
+      page = await scans.list(userId, { ...filters, riskLevel });
+    } catch (err) {
+      if (err.message === 'Invalid cursor') return res.status(400).json({ error: true, message: err.message });
+      throw err;
+    }
+
+    return res.json({ scans: page.items.map(toHistoryScan), nextCursor: page.nextCursor });
+  } catch (err) {
+    console.error('Error listing scans:', err);
+    return res.status(500).json({ error: true, message: err.message });
+  }
+});
+
+/**
+ * GET /api/users/:userId/scans/:scanId
+ * Returns one scan record with its full stored result (toHistoryScan).
+ */
+router.get('/:userId/scans/:scanId', ownHistory, async (req, res) => {
+  try {
+    const scan = await scans.get(req.params.userId, req.params.scanId);
+    if (!scan) return res.status(404).json({ error: true, message: 'Scan not found' });
+
+    return res.json(toHistoryScan(scan));
+  } catch (err) {
+    console.error('Error loading scan:', err);
+    return res.status(500).json({ error: true, message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,108 @@
+// routes/intake.js
+// Meal log on top of the scan records: a completed scan can be marked as
+// eaten, and the eaten scans are summarized per day and week.
+const express = require('express');
+const router = express.Router();
+const z = require('zod');
+const { users, scans } = require('../repositories');
+const { requireAuth, requireOwner } = require('../middleware/auth');
+const { summarizeIntake, summaryWindow, isValidTimeZone } = require('../services/intakeSummary');
+
+// Users can only log and read their own intake
+router.use(requireAuth);
+const ownIntake = requireOwner((req) => req.params.userId);
+
+// Longest summary range, in days
+const MAX_RANGE_DAYS = 90;
+
+// --- Schema Definitions (Zod) ---
+const EatenSchema = z.object({
+  // Defaults to now; lets users log a meal they scanned earlier
+  eatenAt: z.string().datetime({ offset: true })
+    .transform((value) => new Date(value).toISOString())
+    .refine((value) => Date.parse(value) <= Date.now() + 5 * 60 * 1000, 'cannot be in the future')
+    .optional()
+}).strict();
+
+const SummaryQuerySchema = z.object({
+  range: z.string().trim().regex(/^\d{1,3}d$/, 'must look like 7d')
+    .transform((value) => parseInt(value, 10))
+    .refine((days) => days >= 1 && days <= MAX_RANGE_DAYS, `must be between 1d and ${MAX_RANGE_DAYS}d`)
+    .default('7d'),
+  tz: z.string().trim().refine(isValidTimeZone, 'must be an IANA time zone like Africa/Nairobi').default('UTC')
+});
+
+const badRequest = (res, issue) =>
+  res.status(400).json({ error: true, message: `Invalid ${issue.path.join('.')}: ${issue.message}` });
+
+/**
+ * POST /api/users/:userId/scans/:scanId/eaten
+ * Body (optional): { eatenAt: ISO timestamp, default now }
+ * Marks a completed scan as eaten so it counts in the summary.
+ */
+router.post('/:userId/scans/:scanId/eaten', ownIntake, async (req, res) => {
+  const parsed = EatenSchema.safeParse(req.body || {});
+  if (!parsed.success) return badRequest(res, parsed.error.issues[0]);
+
+  try {
+    const { userId, scanId } = req.params;
+    const scan = await scans.get(userId, scanId);
+    if (!scan) return res.status(404).json({ error: true, message: 'Scan not found' });
+    if (scan.status !== 'completed') {
+      return res.status(409).json({ error: true, message: 'Only completed scans can be logged as eaten' });
+    }
+
+    const eatenAt = parsed.data.eatenAt || new Date().toISOString();
+    await scans.update(userId, scanId, { eatenAt });
+    return res.json({ ...scan, eatenAt });
+  } catch (err) {
+    console.error('Error logging meal:', err);
+    return res.status(500).json({ error: true, message: err.message });
+  }
+});
+
+/**
+ * DELETE /api/users/:userId/scans/:scanId/eaten
+ * Removes a scan from the intake log.
+ */
+router.delete('/:userId/scans/:scanId/eaten', ownIntake, async (req, res) => {
+  try {
+    const { userId, scanId } = req.params;
+    const scan = await scans.get(userId, scanId);
+    if (!scan) return res.status(404).json({ error: true, message: 'Scan not found' });
+
+    await scans.update(userId, scanId, { eatenAt: null });
+    return res.json({ ...scan, eatenAt: null });
+  } catch (err) {
+    console.error('Error removing logged meal:', err);
+    return res.status(500).json({ error: true, message: err.message });
+  }
+});
+
+/**
+ * GET /api/users/:userId/summary
+ * Query: range (1d-90d, default 7d), tz (IANA zone for day boundaries, default UTC)
+ * Response: daily and weekly totals of risk levels, allergen exposures and
+ * nutrients for the eaten scans, plus the previous period for comparison.
+ */
+router.get('/:userId/summary', ownIntake, async (req, res) => {
+  const parsed = SummaryQuerySchema.safeParse(req.query);
+  if (!parsed.success) return badRequest(res, parsed.error.issues[0]);
+  const { range: days, tz: timeZone } = parsed.data;
+
+  try {
+    const { userId } = req.params;
+    if (!(await users.get(userId))) {
+      return res.status(404).json({ error: true, message: 'User profile not found' });
+    }
+
+    const now = new Date();
+    const eaten = await scans.listEaten(userId, summaryWindow(days, now));
+    return res.json(summarizeIntake(eaten, { days, timeZone, now }));
+  } catch (err) {
+    console.error('Error building intake summary:', err);
+    return res.status(500).json({ error: true, message: err.message });
+  }
+});
+
+module.exports = router;
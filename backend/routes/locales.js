@@ -0,0 +1,28 @@
+// routes/locales.js
+// UI string catalogs for the frontend. Public: pages load their strings before
+// the user has signed in.
+const express = require('express');
+const router = express.Router();
+const { listLanguages, uiCatalog } = require('../services/i18n');
+
+/**
+ * GET /api/locales
+ * Response: [{ code, name, nativeName }]
+ */
+router.get('/', (req, res) => {
+  res.json(listLanguages());
+});
+
+/**
+ * GET /api/locales/:code
+ * Response: { code, name, nativeName, speechLanguage, ui: { "<key>": "<string>" } }
+ */
+router.get('/:code', (req, res) => {
+  const catalog = uiCatalog(req.params.code);
+  if (!catalog) {
+    return res.status(404).json({ error: true, message: `Unsupported language "${req.params.code}"` });
+  }
+  res.json(catalog);
+});
+
+module.exports = router;
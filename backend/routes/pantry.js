@@ -0,0 +1,231 @@
+// routes/pantry.js
+// Products the user keeps at home, with the expiry date read from the label.
+// Items are stored on the user doc; reminders are opt-in per item and are
+// worked out when asked for, so the days left are always counted from today.
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const z = require('zod');
+const config = require('../config');
+const { users, scans } = require('../repositories');
+const { requireAuth, requireOwner } = require('../middleware/auth');
+const { parseExpiryDate, expiryStatus, expiryWarning } = require('../services/expiryDate');
+const { isValidTimeZone } = require('../services/intakeSummary');
+const { resolveLanguage, t } = require('../services/i18n');
+
+// Users can only see and change their own pantry
+router.use(requireAuth);
+const ownPantry = requireOwner((req) => req.params.userId);
+
+const MAX_PANTRY_ITEMS = 100;
+
+// --- Schema Definitions (Zod) ---
+const PantryItemSchema = z.object({
+  // A completed drink scan to copy the name and expiry date from
+  scanId: z.string().trim().min(1).optional(),
+  name: z.string().trim().min(1).max(100).optional(),
+  // As printed ("EXP 12/25") or typed ("2025-12-31"); overrides the scan's
+  expiryDate: z.string().trim().min(1).max(100).optional(),
+  remind: z.boolean().default(false),
+  remindDaysBefore: z.number().int().min(0).max(60).default(3)
+}).strict().refine((body) => body.scanId || body.name, { message: 'give a scanId or a name', path: ['name'] });
+
+const PantryUpdateSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  expiryDate: z.string().trim().min(1).max(100),
+  remind: z.boolean(),
+  remindDaysBefore: z.number().int().min(0).max(60)
+}).partial().strict();
+
+const PantryQuerySchema = z.object({
+  tz: z.string().trim().refine(isValidTimeZone, 'must be an IANA time zone like Africa/Nairobi')
+    .default(config.expiry.timeZone),
+  language: z.string().trim().optional()
+});
+
+const badRequest = (res, issue) =>
+  res.status(400).json({ error: true, message: `Invalid ${issue.path.join('.')}: ${issue.message}` });
+
+// Reminders need a date to count down to
+function checkRemindable(item) {
+  return item.remind && !item.expiry?.date
+    ? `No date could be read from "${item.expiryDate || ''}". Type it as YYYY-MM-DD to get a reminder.`
+    : null;
+}
+
+// Soonest first; items without a date last
+function withStatus(items, options) {
+  return items
+    .map((item) => ({ ...item, ...expiryStatus(item.expiry, options) }))
+    .sort((a, b) => (a.expiry?.date || '9999').localeCompare(b.expiry?.date || '9999'));
+}
+
+async function loadPantry(res, userId) {
+  const profile = await users.get(userId);
+  if (!profile) {
+    res.status(404).json({ error: true, message: 'User profile not found' });
+    return null;
+  }
+  return { profile, items: Array.isArray(profile.pantry) ? profile.pantry : [] };
+}
+
+const savePantry = (userId, items) => users.update(userId, { pantry: items, updatedAt: new Date().toISOString() });
+
+/**
+ * GET /api/users/:userId/pantry
+ * Query: tz (IANA zone for "today", default EXPIRY_TIME_ZONE)
+ * Response: { items: [...item, daysLeft, state] }, soonest expiry first.
+ */
+router.get('/:userId/pantry', ownPantry, async (req, res) => {
+  const parsed = PantryQuerySchema.safeParse(req.query);
+  if (!parsed.success) return badRequest(res, parsed.error.issues[0]);
+
+  try {
+    const pantry = await loadPantry(res, req.params.userId);
+    if (!pantry) return;
+    return res.json({ items: withStatus(pantry.items, { timeZone: parsed.data.tz }) });
+  } catch (err) {
+    console.error('Error loading pantry:', err);
+    return res.status(500).json({ error: true, message: err.message });
+  }
+});
+
+/**
+ * GET /api/users/:userId/pantry/reminders
+ * Query: tz (as above), language (default: the profile's)
+ * Response: { reminders: [...item, daysLeft, state, message] } for the items
+ * with reminders on that expire within their remindDaysBefore, or already have.
+ */
+router.get('/:userId/pantry/reminders', ownPantry, async (req, res) => {
+  const parsed = PantryQuerySchema.safeParse(req.query);
+  if (!parsed.success) return badRequest(res, parsed.error.issues[0]);
+
+  try {
+    const pantry = await loadPantry(res, req.params.userId);
+    if (!pantry) return;
+    const language = resolveLanguage(parsed.data.language, pantry.profile.language);
+
+    const reminders = withStatus(pantry.items.filter((item) => item.remind && item.expiry?.date), { timeZone: parsed.data.tz })
+      .filter((item) => item.daysLeft <= item.remindDaysBefore)
+      .map((item) => {
+        // Counted against the item's own lead time, so "soon" means "within remindDaysBefore"
+        const status = expiryStatus(item.expiry, { timeZone: parsed.data.tz, warnDays: item.remindDaysBefore });
+        const warning = expiryWarning(item.expiry, status, language);
+        return { ...item, message: t(language, 'pantry.reminder', { name: item.name, warning }) };
+      });
+
+    return res.json({ reminders });
+  } catch (err) {
+    console.error('Error loading pantry reminders:', err);
+    return res.status(500).json({ error: true, message: err.message });
+  }
+});
+
+/**
+ * POST /api/users/:userId/pantry
+ * Request body:
+ * {
+ *   "scanId": "abc123",          // or "name": "Mala 500ml"
+ *   "expiryDate": "EXP 12/25",   // optional with a scanId
+ *   "remind": true,
+ *   "remindDaysBefore": 3
+ * }
+ */
+router.post('/:userId/pantry', ownPantry, async (req, res) => {
+  const parsed = PantryItemSchema.safeParse(req.body || {});
+  if (!parsed.success) return badRequest(res, parsed.error.issues[0]);
+  const { scanId, name, expiryDate, remind, remindDaysBefore } = parsed.data;
+
+  try {
+    const { userId } = req.params;
+    const pantry = await loadPantry(res, userId);
+    if (!pantry) return;
+    if (pantry.items.length >= MAX_PANTRY_ITEMS) {
+      return res.status(400).json({ error: true, message: `A pantry can hold at most ${MAX_PANTRY_ITEMS} items` });
+    }
+
+    let product = {};
+    if (scanId) {
+      const scan = await scans.get(userId, scanId);
+      if (!scan) return res.status(404).json({ error: true, message: 'Scan not found' });
+      if (scan.type !== 'drink' || scan.status !== 'completed') {
+        return res.status(409).json({ error: true, message: 'Only completed drink scans can be added to the pantry' });
+      }
+      product = scan.result || {};
+    }
+
+    const known = (value) => (value && value !== 'Unknown' ? value : null);
+    const raw = expiryDate || product.expiryDate || null;
+    const item = {
+      id: crypto.randomUUID().slice(0, 8),
+      name: name || known(product.brandName) || known(product.productType) || 'Unknown',
+      brandName: known(product.brandName),
+      productType: known(product.productType),
+      scanId: scanId || null,
+      expiryDate: raw,
+      expiry: parseExpiryDate(raw),
+      remind,
+      remindDaysBefore,
+      addedAt: new Date().toISOString()
+    };
+    const problem = checkRemindable(item);
+    if (problem) return res.status(400).json({ error: true, message: problem });
+
+    await savePantry(userId, [...pantry.items, item]);
+    return res.status(201).json(withStatus([item], {})[0]);
+  } catch (err) {
+    console.error('Error adding pantry item:', err);
+    return res.status(500).json({ error: true, message: err.message });
+  }
+});
+
+/**
+ * PATCH /api/users/:userId/pantry/:itemId
+ * Body: any of name, expiryDate, remind, remindDaysBefore.
+ */
+router.patch('/:userId/pantry/:itemId', ownPantry, async (req, res) => {
+  const parsed = PantryUpdateSchema.safeParse(req.body || {});
+  if (!parsed.success) return badRequest(res, parsed.error.issues[0]);
+
+  try {
+    const { userId, itemId } = req.params;
+    const pantry = await loadPantry(res, userId);
+    if (!pantry) return;
+
+    const existing = pantry.items.find((item) => item.id === itemId);
+    if (!existing) return res.status(404).json({ error: true, message: 'Pantry item not found' });
+
+    const item = { ...existing, ...parsed.data };
+    if (parsed.data.expiryDate) item.expiry = parseExpiryDate(parsed.data.expiryDate);
+    const problem = checkRemindable(item);
+    if (problem) return res.status(400).json({ error: true, message: problem });
+
+    await savePantry(userId, pantry.items.map((candidate) => (candidate.id === itemId ? item : candidate)));
+    return res.json(withStatus([item], {})[0]);
+  } catch (err) {
+    console.error('Error updating pantry item:', err);
+    return res.status(500).json({ error: true, message: err.message });
+  }
+});
+
+/**
+ * DELETE /api/users/:userId/pantry/:itemId
+ */
+router.delete('/:userId/pantry/:itemId', ownPantry, async (req, res) => {
+  try {
+    const { userId, itemId } = req.params;
+    const pantry = await loadPantry(res, userId);
+    if (!pantry) return;
+    if (!pantry.items.some((item) => item.id === itemId)) {
+      return res.status(404).json({ error: true, message: 'Pantry item not found' });
+    }
+
+    await savePantry(userId, pantry.items.filter((item) => item.id !== itemId));
+    return res.json({ status: 'Pantry item removed', itemId });
+  } catch (err) {
+    console.error('Error removing pantry item:', err);
+    return res.status(500).json({ error: true, message: err.message });
+  }
+});
+
+module.exports = router;
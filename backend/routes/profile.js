@@ -1,9 +1,66 @@
 const express = require('express');
 const router = express.Router();
-const { db } = require('../firebase'); // <-- FIXED: destructured import
+const crypto = require('crypto');
+const z = require('zod');
+const { users, scans, examples, images } = require('../repositories');
+const { SELF_ID, MAX_MEMBERS, householdMembers } = require('../services/household');
+const { requireAuth, requireOwner } = require('../middleware/auth');
+const { LANGUAGES } = require('../services/i18n');
+const config = require('../config');
+
+// Every profile route needs a signed-in user; /:id routes only serve the caller's own profile
+router.use(requireAuth);
+const ownProfile = requireOwner((req) => req.params.id);
+
+// --- Schema Definitions for Request Validation (Zod) ---
+const foodList = z.array(z.string().trim().min(1, 'entries cannot be empty'));
+
+const ProfileSchema = z.object({
+  name: z.string({ required_error: 'Name is required' }).trim().min(1, 'Name is required'),
+  allergicFoods: foodList.default([]),
+  dislikedFoods: foodList.default([]),
+  preferredFoods: foodList.default([]),
+  // The frontend sends '' when the diet field is left blank
+  dietType: z.string().trim().nullable().default(null)
+    .transform((value) => value || null),
+  healthConditions: foodList.default([]),
+  // Language for AI output and UI strings (see locales/)
+  language: z.enum(LANGUAGES, {
+    errorMap: () => ({ message: `language must be one of: ${LANGUAGES.join(', ')}` })
+  }).default(config.i18n.defaultLanguage)
+}).strict();
+
+// PATCH accepts any subset of the profile fields, but at least one
+const ProfileUpdateSchema = ProfileSchema.partial()
+  .refine((data) => Object.keys(data).length > 0, 'At least one profile field is required');
+
+// Household members: the people the account holder scans for
+const MemberSchema = z.object({
+  name: z.string({ required_error: 'Name is required' }).trim().min(1, 'Name is required'),
+  relationship: z.string().trim().nullable().default(null)
+    .transform((value) => value || null),
+  allergicFoods: foodList.default([]),
+  healthConditions: foodList.default([]),
+  dietType: z.string().trim().nullable().default(null)
+    .transform((value) => value || null)
+}).strict();
+
+const MemberUpdateSchema = MemberSchema.partial()
+  .refine((data) => Object.keys(data).length > 0, 'At least one member field is required');
+
+/**
+ * Turns a failed zod parse into the 400 response body.
+ */
+function validationError(result) {
+  return {
+    error: result.error.issues[0]?.message || 'Invalid profile',
+    details: result.error.flatten().fieldErrors
+  };
+}
 
 /**
  * POST /api/profile
+ * Creates the caller's profile; its id is the uid from the auth token.
  * Request body:
  * {
  *   "name": "Nick",
@@ -11,41 +68,34 @@ const { db } = require('../firebase'); // <-- FIXED: destructured import
  *   "dislikedFoods": ["mushrooms"],
  *   "preferredFoods": ["vegan", "gluten-free"],
  *   "dietType": "vegan",
- *   "healthConditions": ["diabetes"]
+ *   "healthConditions": ["diabetes"],
+ *   "language": "sw"
  * }
  */
 router.post('/', async (req, res) => {
-  const {
-    name,
-    allergicFoods = [],
-    dislikedFoods = [],
-    preferredFoods = [],
-    dietType = null,
-    healthConditions = []
-  } = req.body;
-
-  // Validate required fields
-  if (!name || name.trim() === '') {
-    return res.status(400).json({ error: 'Name is required' });
-  }
-
-  try {
-    // Create a new Firestore document with auto-generated ID
-    const docRef = await db.collection('users').add({
-      name,
-      allergicFoods,
-      dislikedFoods,
-      preferredFoods,
-      dietType,
-      healthConditions,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    });
+  const parsed = ProfileSchema.safeParse(req.body || {});
+  if (!parsed.success) {
+    return res.status(400).json(validationError(parsed));
+  }
+
+  try {
+    const userId = req.user.uid;
+    if (await users.get(userId)) {
+      return res.status(409).json({ error: 'Profile already exists; use PATCH to change it' });
+    }
+
+    // The user document is keyed by the verified uid
+    const now = new Date().toISOString();
+    const profile = await users.create({
+      ...parsed.data,
+      createdAt: now,
+      updatedAt: now
+    }, { id: userId });
 
     return res.json({
       status: 'Profile saved',
-      profileId: docRef.id, // return the auto-generated ID
-      name
+      profileId: profile.id, // same as the auth uid
+      name: profile.name
     });
   } catch (err) {
     console.error('Error saving profile:', err);
@@ -53,4 +103,189 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/profile/:id
+ * Returns the stored profile, including its id and timestamps.
+ */
+router.get('/:id', ownProfile, async (req, res) => {
+  try {
+    const profile = await users.get(req.params.id);
+    if (!profile) return res.status(404).json({ error: 'Profile not found' });
+
+    return res.json(profile);
+  } catch (err) {
+    console.error('Error loading profile:', err);
+    return res.status(500).json({ error: 'Error loading profile' });
+  }
+});
+
+/**
+ * PATCH /api/profile/:id
+ * Partial update: only the fields present in the body change.
+ * Request body (any subset): { "allergicFoods": ["nuts"], "dietType": "halal" }
+ */
+router.patch('/:id', ownProfile, async (req, res) => {
+  const parsed = ProfileUpdateSchema.safeParse(req.body || {});
+  if (!parsed.success) {
+    return res.status(400).json(validationError(parsed));
+  }
+
+  try {
+    const profile = await users.update(req.params.id, {
+      ...parsed.data,
+      updatedAt: new Date().toISOString()
+    });
+    if (!profile) return res.status(404).json({ error: 'Profile not found' });
+
+    return res.json({ status: 'Profile updated', profile });
+  } catch (err) {
+    console.error('Error updating profile:', err);
+    return res.status(500).json({ error: 'Error updating profile' });
+  }
+});
+
+/**
+ * DELETE /api/profile/:id
+ * Removes the profile together with its scan history, stored images and any
+ * labelled examples reviewers made from its scans.
+ */
+router.delete('/:id', ownProfile, async (req, res) => {
+  const userId = req.params.id;
+
+  try {
+    const profile = await users.get(userId);
+    if (!profile) return res.status(404).json({ error: 'Profile not found' });
+
+    // Scans and images first, so a failure never leaves orphaned data
+    // behind a profile that no longer exists
+    const deletedScans = await scans.deleteAllForUser(userId);
+    await examples.deleteAllForUser(userId);
+    await images.deletePrefix(`scans/${userId}/`);
+    await users.delete(userId);
+
+    return res.json({ status: 'Profile deleted', profileId: userId, deletedScans });
+  } catch (err) {
+    console.error('Error deleting profile:', err);
+    return res.status(500).json({ error: 'Error deleting profile' });
+  }
+});
+
+// --- Household Members ---
+
+/**
+ * GET /api/profile/:id/members
+ * Everyone in the household, the account holder first (memberId "self").
+ */
+router.get('/:id/members', ownProfile, async (req, res) => {
+  try {
+    const profile = await users.get(req.params.id);
+    if (!profile) return res.status(404).json({ error: 'Profile not found' });
+
+    return res.json({ members: householdMembers(profile) });
+  } catch (err) {
+    console.error('Error loading members:', err);
+    return res.status(500).json({ error: 'Error loading members' });
+  }
+});
+
+/**
+ * POST /api/profile/:id/members
+ * Request body:
+ * {
+ *   "name": "Amani",
+ *   "relationship": "child",
+ *   "allergicFoods": ["Peanuts (Njugu)"],
+ *   "healthConditions": [],
+ *   "dietType": null
+ * }
+ */
+router.post('/:id/members', ownProfile, async (req, res) => {
+  const parsed = MemberSchema.safeParse(req.body || {});
+  if (!parsed.success) {
+    return res.status(400).json(validationError(parsed));
+  }
+
+  try {
+    const profile = await users.get(req.params.id);
+    if (!profile) return res.status(404).json({ error: 'Profile not found' });
+
+    const members = Array.isArray(profile.members) ? profile.members : [];
+    if (members.length >= MAX_MEMBERS) {
+      return res.status(400).json({ error: `A household can have at most ${MAX_MEMBERS} members` });
+    }
+
+    const member = { id: crypto.randomUUID().slice(0, 8), ...parsed.data };
+    await users.update(req.params.id, {
+      members: [...members, member],
+      updatedAt: new Date().toISOString()
+    });
+
+    return res.json({ status: 'Member added', member });
+  } catch (err) {
+    console.error('Error adding member:', err);
+    return res.status(500).json({ error: 'Error adding member' });
+  }
+});
+
+/**
+ * PATCH /api/profile/:id/members/:memberId
+ * Partial update of one member. The account holder ("self") is edited
+ * through PATCH /api/profile/:id instead.
+ */
+router.patch('/:id/members/:memberId', ownProfile, async (req, res) => {
+  if (req.params.memberId === SELF_ID) {
+    return res.status(400).json({ error: 'Update your own details with PATCH /api/profile/:id' });
+  }
+  const parsed = MemberUpdateSchema.safeParse(req.body || {});
+  if (!parsed.success) {
+    return res.status(400).json(validationError(parsed));
+  }
+
+  try {
+    const profile = await users.get(req.params.id);
+    if (!profile) return res.status(404).json({ error: 'Profile not found' });
+
+    const members = Array.isArray(profile.members) ? profile.members : [];
+    const existing = members.find((member) => member.id === req.params.memberId);
+    if (!existing) return res.status(404).json({ error: 'Member not found' });
+
+    const member = { ...existing, ...parsed.data };
+    await users.update(req.params.id, {
+      members: members.map((candidate) => (candidate.id === member.id ? member : candidate)),
+      updatedAt: new Date().toISOString()
+    });
+
+    return res.json({ status: 'Member updated', member });
+  } catch (err) {
+    console.error('Error updating member:', err);
+    return res.status(500).json({ error: 'Error updating member' });
+  }
+});
+
+/**
+ * DELETE /api/profile/:id/members/:memberId
+ * Past scans keep the memberIds they were made for.
+ */
+router.delete('/:id/members/:memberId', ownProfile, async (req, res) => {
+  try {
+    const profile = await users.get(req.params.id);
+    if (!profile) return res.status(404).json({ error: 'Profile not found' });
+
+    const members = Array.isArray(profile.members) ? profile.members : [];
+    if (!members.some((member) => member.id === req.params.memberId)) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    await users.update(req.params.id, {
+      members: members.filter((member) => member.id !== req.params.memberId),
+      updatedAt: new Date().toISOString()
+    });
+
+    return res.json({ status: 'Member removed', memberId: req.params.memberId });
+  } catch (err) {
+    console.error('Error removing member:', err);
+    return res.status(500).json({ error: 'Error removing member' });
+  }
+});
+
 module.exports = router;
@@ -1,89 +1,81 @@
 const express = require('express');
 const router = express.Router();
-const multer = require('multer');
-const path = require('path');
 const fs = require('fs');
-const { db, admin } = require('../firebase');
+const { users, scans } = require('../repositories');
+const { selectMembers, analysisProfile } = require('../services/household');
+const { resolveLanguage } = require('../services/i18n');
 
-// ---- Import Vertex AI analyzer ----
-const { analyzeImageWithVertex } = require('../services/aiAnalyzer');
-
-// ------------------ Multer setup for temp local storage ------------------
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = 'uploads/';
-    if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir);
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueName = Date.now() + path.extname(file.originalname);
-    cb(null, uniqueName);
-  }
-});
-const upload = multer({ storage });
+// ---- Scan job pipeline (upload + Vertex AI analyzer + allergen rules) ----
+const { submitMealScan } = require('../services/scanJobs');
+const { requireAuth, requireOwner } = require('../middleware/auth');
+// Multer + preprocessing: the route gets an upright, EXIF-free JPEG that passed the quality check
+const { uploadImage } = require('../middleware/upload');
 
 // ------------------ POST /api/scan ------------------
-router.post('/', upload.single('image'), async (req, res) => {
+// Blocks until the analysis is done, or with ?async=1 answers 202 with the
+// scanId right away; progress is then available from GET /api/scans/:id
+// and its SSE stream GET /api/scans/:id/events.
+// The scan belongs to the token's user; a userId field, if still sent, must match it.
+router.post('/', requireAuth, uploadImage('image'), requireOwner((req) => req.body?.userId), async (req, res) => {
   let localFilePath;
   try {
-    const userId = req.body.userId;
-    if (!userId) return res.status(400).json({ error: true, message: 'User ID is required' });
+    const userId = req.user.uid;
+    const asyncMode = ['1', 'true'].includes(String(req.query.async));
     if (!req.file) return res.status(400).json({ error: true, message: 'No image uploaded' });
 
     localFilePath = req.file.path;
-    const fileName = `scans/${userId}/${Date.now()}_${req.file.originalname}`;
-    const bucket = admin.storage().bucket();
-
-    // Upload to Firebase Storage
-    await bucket.upload(localFilePath, {
-      destination: fileName,
-      metadata: { contentType: req.file.mimetype }
-    });
-    const imageUrl = `https://storage.googleapis.com/${bucket.name}/${fileName}`;
-
-    // Save initial scan record
-    const scanDocRef = await db.collection('users')
-      .doc(userId)
-      .collection('scans')
-      .add({
-        imageUrl,
-        createdAt: new Date().toISOString(),
-        status: 'pending',
-        result: null
-      });
 
     // Fetch user profile
-    const userDoc = await db.collection('users').doc(userId).get();
-    if (!userDoc.exists) {
+    const userProfile = await users.get(userId);
+    if (!userProfile) {
       fs.unlinkSync(localFilePath);
       return res.status(404).json({ error: true, message: 'User profile not found' });
     }
-    const userProfile = userDoc.data();
 
-    // --- FIX: Ensure arrays exist before calling analyzer ---
-    const safeProfile = {
-      allergicFoods: Array.isArray(userProfile.allergicFoods) ? userProfile.allergicFoods : [],
-      healthConditions: Array.isArray(userProfile.healthConditions) ? userProfile.healthConditions : []
-    };
+    // "Who is eating": household member ids (or "all"); defaults to the account holder
+    const { members, unknown } = selectMembers(userProfile, req.body.members);
+    if (unknown.length > 0) {
+      fs.unlinkSync(localFilePath);
+      return res.status(400).json({ error: true, message: `Unknown household member: ${unknown.join(', ')}` });
+    }
 
-    // Call Vertex AI analyzer
-    const aiResult = await analyzeImageWithVertex(localFilePath, safeProfile);
+    // Combined allergies/conditions plus the members, with arrays always present
+    const safeProfile = analysisProfile(members);
+    // Output language: this request's `language` (or ?lang=), else the profile's
+    safeProfile.language = resolveLanguage(req.body.language || req.query.lang, userProfile.language);
 
-    // Update Firestore with AI result
-    await db.collection('users').doc(userId)
-      .collection('scans').doc(scanDocRef.id)
-      .update({
-        status: 'completed',
-        result: aiResult
+    // Save initial scan record
+    const scanRecord = await scans.create(userId, {
+      type: 'meal',
+      memberIds: members.map((member) => member.id),
+      imageUrl: null,
+      createdAt: new Date().toISOString(),
+      status: 'pending',
+      stage: 'uploading',
+      result: null
+    });
+
+    // Upload, Vertex AI analysis (cached by image hash) and allergen rules
+    // run as a queued job; the job removes the temp file when it finishes
+    const job = submitMealScan({ userId, scanId: scanRecord.id, profile: safeProfile, file: req.file });
+    localFilePath = null;
+
+    if (asyncMode) {
+      return res.status(202).json({
+        status: 'Scan queued',
+        scanId: scanRecord.id,
+        statusUrl: `/api/scans/${scanRecord.id}`,
+        eventsUrl: `/api/scans/${scanRecord.id}/events`
       });
+    }
 
-    // Cleanup temp file
-    fs.unlinkSync(localFilePath);
+    const { imageUrl, aiResult, cacheStatus, failed } = await job;
+    if (cacheStatus) res.set('X-Analysis-Cache', cacheStatus);
 
     // Return response in frontend-compatible format
     return res.json({
-      status: 'Scan analyzed',
-      scanId: scanDocRef.id,
+      status: failed ? 'AI analysis failed' : 'Scan analyzed',
+      scanId: scanRecord.id,
       imageUrl,
       aiResult
     });
@@ -0,0 +1,108 @@
+// routes/scanStatus.js
+// Progress of a scan submitted with POST /api/scan?async=1.
+const express = require('express');
+const router = express.Router();
+const { scans } = require('../repositories');
+const { onScanProgress, isTerminalStage } = require('../services/scanEvents');
+const { requireAuth } = require('../middleware/auth');
+
+// Scans are looked up under the caller's uid, so nobody sees another user's scan
+router.use(requireAuth);
+
+// How often an open SSE stream re-reads the scan record. Covers scans that
+// another server instance is processing, and keeps proxies from timing out.
+const POLL_INTERVAL_MS = 3000;
+
+// Status view of a stored scan record
+function toStatus(scan) {
+  return {
+    scanId: scan.id,
+    stage: scan.stage || (scan.status === 'pending' ? 'analyzing' : scan.status),
+    status: scan.status,
+    attempts: scan.attempts || 0,
+    imageUrl: scan.imageUrl || null,
+    riskLevel: scan.riskLevel || null,
+    result: scan.result || null
+  };
+}
+
+/**
+ * GET /api/scans/:id
+ * Response: { scanId, stage: uploading|analyzing|completed|failed, status, attempts, imageUrl, result }
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const scan = await scans.get(req.user.uid, req.params.id);
+    if (!scan) return res.status(404).json({ error: true, message: 'Scan not found' });
+
+    return res.json(toStatus(scan));
+  } catch (err) {
+    console.error('Error loading scan status:', err);
+    return res.status(500).json({ error: true, message: err.message });
+  }
+});
+
+/**
+ * GET /api/scans/:id/events?access_token=...
+ * EventSource can't set an Authorization header, hence the token in the query.
+ * Server-sent events: one event per stage (event name = stage, data = status
+ * JSON). The stream closes after `completed` or `failed`.
+ */
+router.get('/:id/events', async (req, res) => {
+  const userId = req.user.uid;
+  const scanId = req.params.id;
+
+  let scan;
+  try {
+    scan = await scans.get(userId, scanId);
+  } catch (err) {
+    console.error('Error loading scan status:', err);
+    return res.status(500).json({ error: true, message: err.message });
+  }
+  if (!scan) return res.status(404).json({ error: true, message: 'Scan not found' });
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  let lastStage = null;
+  let closed = false;
+  let unsubscribe = () => {};
+  let poll = null;
+
+  const finish = () => {
+    if (closed) return;
+    closed = true;
+    unsubscribe();
+    clearInterval(poll);
+    res.end();
+  };
+
+  const send = (status) => {
+    if (closed || status.stage === lastStage) return;
+    lastStage = status.stage;
+    res.write(`event: ${status.stage}\ndata: ${JSON.stringify(status)}\n\n`);
+    if (isTerminalStage(status.stage)) finish();
+  };
+
+  req.on('close', finish);
+
+  send(toStatus(scan));
+  if (closed) return;
+
+  unsubscribe = onScanProgress(scanId, (payload) => send({ ...toStatus({ ...scan, ...payload, id: scanId }) }));
+  poll = setInterval(async () => {
+    try {
+      const latest = await scans.get(userId, scanId);
+      if (latest) send(toStatus(latest));
+      if (!closed) res.write(': ping\n\n');
+    } catch (err) {
+      console.error('Error polling scan status:', err);
+    }
+  }, POLL_INTERVAL_MS);
+});
+
+module.exports = router;
@@ -0,0 +1,46 @@
+// routes/speech.js
+// Read-aloud audio for devices without a browser voice for the user's language.
+const express = require('express');
+const router = express.Router();
+const z = require('zod');
+const { synthesizeSpeech, speechEnabled } = require('../services/speech');
+const { resolveLanguage } = require('../services/i18n');
+const { requireAuth } = require('../middleware/auth');
+
+router.use(requireAuth);
+
+// A verdict plus a few fixes; keeps a single request from running up the TTS bill
+const MAX_TEXT_LENGTH = 1000;
+
+const SpeechSchema = z.object({
+  text: z.string({ required_error: 'text is required' }).trim().min(1, 'text is required')
+    .max(MAX_TEXT_LENGTH, `text must be at most ${MAX_TEXT_LENGTH} characters`),
+  language: z.string().optional()
+});
+
+/**
+ * POST /api/speech
+ * Request body: { "text": "Usile chakula hiki. ...", "language": "sw" }
+ * Response: MP3 audio. 503 when SPEECH_PROVIDER is not set.
+ */
+router.post('/', async (req, res) => {
+  if (!speechEnabled()) {
+    return res.status(503).json({ error: true, message: 'Server-generated speech is not enabled' });
+  }
+  const parsed = SpeechSchema.safeParse(req.body || {});
+  if (!parsed.success) {
+    return res.status(400).json({ error: true, message: parsed.error.issues[0].message });
+  }
+
+  try {
+    const { text, language } = parsed.data;
+    const { audio, mimeType, cacheStatus } = await synthesizeSpeech(text, resolveLanguage(language));
+    res.set('X-Analysis-Cache', cacheStatus);
+    return res.type(mimeType).send(audio);
+  } catch (err) {
+    console.error('Error generating speech:', err);
+    return res.status(502).json({ error: true, message: 'Could not generate speech' });
+  }
+});
+
+module.exports = router;
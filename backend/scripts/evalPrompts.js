@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+// scripts/evalPrompts.js
+// Runs the labelled golden set through the analyzers with a chosen prompt
+// version and reports risk_level accuracy (brandName too for drinks) and
+// allergen recall/precision. The results go through the same allergen and
+// drink health rules as a scan, with each case's profile.
+//
+// By default it replays the model responses recorded for that version in
+// eval/recorded/<version>.json, so it runs offline and gives the same numbers
+// every time. --record calls the configured AI_PROVIDER (e.g. vertex) instead
+// and saves its responses there; record a new prompt version before comparing.
+// A case whose meal reply needed repair turns is recorded as the list of
+// replies, replayed in order.
+//
+// Usage:
+//   node scripts/evalPrompts.js [--prompt <version>]... [--record] [--cases <golden.json>] [--json]
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const { registerProvider, getProvider, toVertexResponse } = require('../services/aiProviders');
+const { activeVersion, taskOf } = require('../services/promptRegistry');
+const { analyzeImageWithVertex } = require('../services/aiAnalyzer');
+const { analyzeDrinkWithVertex } = require('../services/brandScanner');
+const { matchAllergens, applyHouseholdAllergenRules, applyHouseholdDrinkRules } = require('../services/allergenEngine');
+const { applyDrinkHealthRules } = require('../services/drinkHealth');
+const { householdMembers, analysisProfile } = require('../services/household');
+const { preprocessImage } = require('../services/imagePreprocessor');
+const allergenData = require('../data/allergens.json');
+
+const BACKEND_DIR = path.join(__dirname, '..');
+const EVAL_DIR = path.join(BACKEND_DIR, 'eval');
+const USAGE = 'Usage: node scripts/evalPrompts.js [--prompt <version>]... [--record] [--cases <golden.json>] [--json]';
+
+// Every dictionary group, so the allergen check reports all it finds
+const ALL_GROUPS = allergenData.groups.map((group) => group.id);
+
+function parseArgs(argv) {
+  const args = { prompts: [], record: false, json: false, cases: path.join(EVAL_DIR, 'golden.json') };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--prompt') args.prompts.push(argv[++i]);
+    else if (argv[i] === '--record') args.record = true;
+    else if (argv[i] === '--json') args.json = true;
+    else if (argv[i] === '--cases') args.cases = argv[++i];
+    else throw new Error(`Unknown argument "${argv[i]}"`);
+  }
+  return args;
+}
+
+const recordingFile = (version) => path.join(EVAL_DIR, 'recorded', `${version}.json`);
+
+function loadRecording(version) {
+  const file = recordingFile(version);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')).responses || {} : {};
+}
+
+// Recorded like the fixtures: an object when the reply was JSON, else the text
+function toEntry(text) {
+  try {
+    return JSON.parse(text.replace(/```json|```/gi, '').trim());
+  } catch (err) {
+    return text;
+  }
+}
+
+// --- The model, replayed or recorded per case ---
+
+const session = { caseId: null, turn: 0, responses: {}, record: false, live: null };
+
+registerProvider('eval', () => ({
+  name: 'eval',
+  async generateContent(request) {
+    const turn = session.turn++;
+    if (!session.record) {
+      const recorded = session.responses[session.caseId];
+      const entry = Array.isArray(recorded) ? recorded[Math.min(turn, recorded.length - 1)] : recorded;
+      return toVertexResponse(typeof entry === 'string' ? entry : JSON.stringify(entry));
+    }
+    const response = await session.live.generateContent(request);
+    const text = response?.response?.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (typeof text === 'string') {
+      session.responses[session.caseId] = turn === 0
+        ? toEntry(text)
+        : [...(turn === 1 ? [session.responses[session.caseId]] : session.responses[session.caseId]), toEntry(text)];
+    }
+    return response;
+  }
+}));
+
+// --- Running a case ---
+
+async function runCase(testCase, promptVersion, imagePath) {
+  const members = householdMembers(testCase.profile || {});
+  const language = testCase.language || 'en';
+
+  if (testCase.task === 'meal') {
+    const profile = { ...analysisProfile(members), language };
+    const result = await analyzeImageWithVertex(imagePath, profile, { promptVersion });
+    if (result.error) return { error: result.message };
+    const meal = applyHouseholdAllergenRules(result, members, language);
+    return {
+      degraded: meal.degraded,
+      fields: { risk_level: meal.risk_level },
+      ingredients: { localized_visible_ingredients: meal.localized_visible_ingredients, hidden_ingredients: meal.hidden_ingredients }
+    };
+  }
+
+  const result = await analyzeDrinkWithVertex([{ path: imagePath, mimeType: 'image/jpeg', label: 'front' }], language, { promptVersion });
+  if (result.error) return { error: result.message };
+  const drink = applyDrinkHealthRules(applyHouseholdDrinkRules(result, members, language), members, language);
+  return {
+    fields: { risk_level: drink.risk_level, brandName: drink.brandName },
+    ingredients: { keyIngredients: drink.keyIngredients }
+  };
+}
+
+const same = (actual, expected) =>
+  String(actual ?? '').trim().toLowerCase() === String(expected ?? '').trim().toLowerCase();
+
+function scoreCase(testCase, outcome) {
+  const { allergens: expectedAllergens = [], ...expectedFields } = testCase.expected || {};
+  const fields = Object.entries(expectedFields).map(([field, expected]) => {
+    const actual = outcome.error ? null : outcome.fields[field] ?? null;
+    return { field, expected, actual, correct: !outcome.error && same(actual, expected) };
+  });
+
+  const found = outcome.error ? [] : [...new Set(matchAllergens(outcome.ingredients, ALL_GROUPS)
+    .map((hit) => hit.rule.split(':')[0]))];
+  const allergens = {
+    expected: expectedAllergens,
+    found,
+    missed: expectedAllergens.filter((group) => !found.includes(group)),
+    extra: found.filter((group) => !expectedAllergens.includes(group))
+  };
+
+  return {
+    id: testCase.id,
+    error: outcome.error || null,
+    degraded: Boolean(outcome.degraded),
+    fields,
+    allergens,
+    correct: !outcome.error && fields.every((field) => field.correct)
+      && allergens.missed.length === 0 && allergens.extra.length === 0
+  };
+}
+
+const ratio = (part, whole) => ({ count: part, total: whole, rate: whole > 0 ? part / whole : null });
+
+function summarize(results) {
+  const scored = results.filter((result) => !result.skipped);
+  const fieldNames = [...new Set(scored.flatMap((result) => result.fields.map((field) => field.field)))];
+  const allergens = scored.map((result) => result.allergens);
+  const truePositives = allergens.reduce((sum, a) => sum + a.expected.length - a.missed.length, 0);
+
+  return {
+    cases: results.length,
+    evaluated: scored.length,
+    notRecorded: results.length - scored.length,
+    errors: scored.filter((result) => result.error).length,
+    degraded: scored.filter((result) => result.degraded).length,
+    accuracy: Object.fromEntries(fieldNames.map((name) => {
+      const rows = scored.flatMap((result) => result.fields.filter((field) => field.field === name));
+      return [name, ratio(rows.filter((field) => field.correct).length, rows.length)];
+    })),
+    exactMatch: ratio(scored.filter((result) => result.correct).length, scored.length),
+    allergenPrecision: ratio(truePositives, truePositives + allergens.reduce((sum, a) => sum + a.extra.length, 0)),
+    allergenRecall: ratio(truePositives, allergens.reduce((sum, a) => sum + a.expected.length, 0))
+  };
+}
+
+async function evaluate(version, cases, { record, workDir }) {
+  const task = taskOf(version);
+  session.record = record;
+  session.responses = record ? {} : loadRecording(version);
+
+  const results = [];
+  for (const testCase of cases.filter((candidate) => candidate.task === task)) {
+    if (!record && session.responses[testCase.id] === undefined) {
+      results.push({ id: testCase.id, skipped: true });
+      continue;
+    }
+    // The model sees what a scan sends it: the upright, resized JPEG
+    const imagePath = path.join(workDir, `${testCase.id}.jpg`);
+    await preprocessImage(path.resolve(BACKEND_DIR, testCase.image), imagePath);
+    session.caseId = testCase.id;
+    session.turn = 0;
+    results.push(scoreCase(testCase, await runCase(testCase, version, imagePath)));
+  }
+
+  if (record) {
+    fs.mkdirSync(path.dirname(recordingFile(version)), { recursive: true });
+    fs.writeFileSync(recordingFile(version), JSON.stringify({
+      promptVersion: version,
+      provider: session.live.name || null,
+      recordedAt: new Date().toISOString(),
+      responses: session.responses
+    }, null, 2) + '\n');
+  }
+
+  return { version, task, active: version === activeVersion(task), record, results, summary: summarize(results) };
+}
+
+// --- Report ---
+
+const percent = ({ count, total, rate }) => (rate === null ? 'n/a' : `${count}/${total} (${Math.round(rate * 100)}%)`);
+
+function printReport(report) {
+  const { version, task, active, record, results, summary } = report;
+  console.log(`\nPrompt ${version} (${task}${active ? ', active' : ''}): ${record ? 'recorded from the model' : 'replayed from eval/recorded'}`);
+  for (const result of results) {
+    if (result.skipped) {
+      console.log(`  - ${result.id}: no recorded response`);
+      continue;
+    }
+    const notes = result.error
+      ? [`error: ${result.error}`]
+      : [
+        ...(result.degraded ? ['degraded'] : []),
+        ...result.fields.filter((field) => !field.correct)
+          .map((field) => `${field.field} ${field.actual ?? 'missing'} (expected ${field.expected})`),
+        ...result.allergens.missed.map((group) => `missed ${group}`),
+        ...result.allergens.extra.map((group) => `extra ${group}`)
+      ];
+    console.log(`  ${result.correct ? '✓' : '✗'} ${result.id}${notes.length > 0 ? `: ${notes.join('; ')}` : ''}`);
+  }
+  const accuracy = Object.entries(summary.accuracy).map(([field, value]) => `${field} ${percent(value)}`);
+  console.log(`  Accuracy: ${[...accuracy, `all correct ${percent(summary.exactMatch)}`].join(' · ')}`);
+  console.log(`  Allergens: precision ${percent(summary.allergenPrecision)} · recall ${percent(summary.allergenRecall)}`);
+  if (summary.errors > 0) console.log(`  ${summary.errors} case(s) failed to analyze`);
+  if (summary.degraded > 0) console.log(`  ${summary.degraded} case(s) degraded: the reply stayed invalid after the repair turns`);
+  if (summary.notRecorded > 0) console.log(`  ${summary.notRecorded} case(s) skipped; run with --record to record them`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const { cases } = JSON.parse(fs.readFileSync(args.cases, 'utf8'));
+  const versions = args.prompts.length > 0
+    ? args.prompts
+    : [...new Set(cases.map((testCase) => testCase.task))].map(activeVersion);
+  const unknown = versions.filter((version) => !taskOf(version));
+  if (unknown.length > 0) throw new Error(`Unknown prompt version: ${unknown.join(', ')}`);
+
+  // Recording goes through the configured provider; replay never calls a model
+  if (args.record) session.live = getProvider();
+  config.ai.provider = 'eval';
+
+  // The analyzers log every model reply and error; the report lists them per case
+  const { log, warn, error } = console;
+  console.log = console.warn = console.error = () => {};
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'safebite-eval-'));
+  const reports = [];
+  try {
+    for (const version of versions) reports.push(await evaluate(version, cases, { record: args.record, workDir }));
+  } finally {
+    Object.assign(console, { log, warn, error });
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  if (args.json) console.log(JSON.stringify(reports, null, 2));
+  else reports.forEach(printReport);
+  return reports.some((report) => report.summary.evaluated > 0);
+}
+
+main()
+  .then((evaluated) => process.exit(evaluated ? 0 : 1))
+  .catch((err) => {
+    process.stderr.write(`Evaluation failed: ${err.message}\n${USAGE}\n`);
+    process.exit(1);
+  });
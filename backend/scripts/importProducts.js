@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+// scripts/importProducts.js
+// Imports an Open Food Facts style dump into the local product catalog used
+// by POST /api/scan-barcode.
+//
+// Usage:
+//   node scripts/importProducts.js <dump.jsonl|dump.csv> [--format jsonl|csv] [--country kenya]
+
+const { importProducts } = require('../services/productCatalog');
+const config = require('../config');
+
+function parseArgs(argv) {
+  const args = { options: {} };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--format') args.options.format = argv[++i];
+    else if (argv[i] === '--country') args.options.country = argv[++i];
+    else args.file = argv[i];
+  }
+  return args;
+}
+
+const { file, options } = parseArgs(process.argv.slice(2));
+if (!file) {
+  console.error('Usage: node scripts/importProducts.js <dump.jsonl|dump.csv> [--format jsonl|csv] [--country kenya]');
+  process.exit(1);
+}
+
+importProducts(file, options)
+  .then(({ imported, skipped, total }) => {
+    console.log(`Imported ${imported} products (${skipped} skipped) into ${config.catalog.file}; catalog now has ${total}.`);
+  })
+  .catch((err) => {
+    console.error('Import failed:', err.message);
+    process.exit(1);
+  });
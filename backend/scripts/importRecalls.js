@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+// scripts/importRecalls.js
+// Imports recall and counterfeit notices into the watchlist checked by
+// POST /api/scan-brand and POST /api/scan-barcode.
+//
+// Usage:
+//   node scripts/importRecalls.js <notices.csv|notices.json|notices.jsonl> [--format csv|json|jsonl] [--replace]
+
+const { importRecalls } = require('../services/recalls');
+const config = require('../config');
+
+function parseArgs(argv) {
+  const args = { options: {} };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--format') args.options.format = argv[++i];
+    else if (argv[i] === '--replace') args.options.replace = true;
+    else args.file = argv[i];
+  }
+  return args;
+}
+
+const { file, options } = parseArgs(process.argv.slice(2));
+if (!file) {
+  console.error('Usage: node scripts/importRecalls.js <notices.csv|notices.json|notices.jsonl> [--format csv|json|jsonl] [--replace]');
+  process.exit(1);
+}
+
+try {
+  const { imported, skipped, total } = importRecalls(file, options);
+  console.log(`Imported ${imported} notices (${skipped} skipped) into ${config.recalls.file}; watchlist now has ${total}.`);
+} catch (err) {
+  console.error('Import failed:', err.message);
+  process.exit(1);
+}
@@ -1,10 +1,12 @@
 const express = require('express');
 const app = express();
 const cors = require('cors');
+const config = require('./config');
 
 
 // Enable CORS (important if your frontend is calling this backend)
-app.use(cors());
+// X-Analysis-Cache is exposed so the frontend can tell cached results apart
+app.use(cors({ exposedHeaders: ['X-Analysis-Cache'] }));
 
 // Middleware
 app.use(express.json({ limit: '10mb' }));
@@ -13,11 +15,43 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Routes
 const profileRoutes = require('./routes/profile');
 const scanRoutes = require('./routes/scan');
+const analyzeTextRoutes = require('./routes/analyzeText');
 const brandRoutes = require('./routes/brand'); // <-- UNCOMMENTED
+const historyRoutes = require('./routes/history');
+const intakeRoutes = require('./routes/intake');
+const pantryRoutes = require('./routes/pantry');
+const scanStatusRoutes = require('./routes/scanStatus');
+const localeRoutes = require('./routes/locales');
+const speechRoutes = require('./routes/speech');
+const allergenRoutes = require('./routes/allergens');
+const adminRoutes = require('./routes/admin');
+
+// Locally signed tokens for development; never mounted with Firebase Auth
+if (config.auth.mode === 'dev') {
+  console.warn('⚠️ AUTH_MODE=dev: anyone can mint tokens at /api/auth/dev-token');
+  app.use('/api/auth', require('./routes/auth'));
+}
+
+// Serve locally stored scan images when running without Cloud Storage. Like
+// the bucket's public URLs they need no token; the random part of each file
+// name (repositories.scanImagePath) keeps them from being guessed.
+if (config.storage.backend === 'local') {
+  const { uploadsDir } = require('./repositories/localRepository');
+  app.use('/files', express.static(uploadsDir));
+}
 
 app.use('/api/profile', profileRoutes);
 app.use('/api/scan', scanRoutes);
+app.use('/api/analyze-text', analyzeTextRoutes);
 app.use('/api', brandRoutes); // <-- UNCOMMENTED
+app.use('/api/users', historyRoutes);
+app.use('/api/users', intakeRoutes);
+app.use('/api/users', pantryRoutes);
+app.use('/api/scans', scanStatusRoutes);
+app.use('/api/locales', localeRoutes);
+app.use('/api/speech', speechRoutes);
+app.use('/api/allergens', allergenRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Cloud Run injects PORT automatically (must use 8080 default)
 const PORT = process.env.PORT || 8080;
@@ -0,0 +1,110 @@
+// services/additives.js
+// Deterministic additive checks for drink scans. Each keyIngredients entry is
+// matched against the bundled additive database (data/additives.json) by
+// E-number ("Sodium Benzoate (E211)", "INS 211") and by name ("aspartame",
+// "yellow 6") independently, so additives are reported whatever the model
+// chose to put in its warnings, and a label whose code and name disagree
+// reports both additives. Names must match exactly: unlike allergen
+// terms, additive names a letter apart are different chemicals (sulphite,
+// sulphate).
+
+const additiveData = require('../data/additives.json');
+const { tokenize, withoutExcluded } = require('./allergenEngine');
+
+// Worst first in the findings
+const LEVELS = ['warning', 'caution', 'info'];
+
+// "E 211", "E-211", "INS 211" and "E150d" all read as "E211" / "E150D"
+const E_NUMBER = /\b(?:E|INS)\s?-?\s?(\d{3,4})([A-D])?\b/gi;
+
+const byCode = new Map(additiveData.additives
+  .filter((additive) => additive.code)
+  .map((additive) => [additive.code.toUpperCase(), additive]));
+
+// Longest names first so "aspartame acesulfame salt" wins over "aspartame"
+const names = additiveData.additives
+  .flatMap((additive) => additive.names.map((name) => ({ additive, name, tokens: tokenize(name) })))
+  .sort((a, b) => b.tokens.length - a.tokens.length);
+
+const excludes = new Map(additiveData.additives.map((additive) => [additive, (additive.exclude || []).map(tokenize)]));
+
+// Findings are merged on this: the E-number, or the name for additives without one
+const additiveId = (additive) => additive.code || additive.name;
+
+// Start of the name's token sequence in the tokens, or -1
+function findName(tokens, nameTokens) {
+  for (let start = 0; start + nameTokens.length <= tokens.length; start++) {
+    if (nameTokens.every((word, k) => tokens[start + k] === word)) return start;
+  }
+  return -1;
+}
+
+// Additives named in one ingredient string, by code and by name. Matched
+// words are blanked out so "aspartame acesulfame salt" isn't also reported
+// as aspartame and acesulfame.
+function matchIngredient(ingredient) {
+  const found = [...ingredient.matchAll(E_NUMBER)]
+    .map((match) => byCode.get(`E${match[1]}${match[2] || ''}`.toUpperCase()))
+    .filter(Boolean)
+    .map((additive) => ({ additive, match: 'code' }));
+
+  let tokens = tokenize(ingredient);
+  for (const { additive, tokens: nameTokens } of names) {
+    const start = findName(withoutExcluded(tokens, excludes.get(additive)), nameTokens);
+    if (start < 0) continue;
+    found.push({ additive, match: 'name' });
+    tokens = [...tokens.slice(0, start), ...nameTokens.map(() => '|'), ...tokens.slice(start + nameTokens.length)];
+  }
+  return found;
+}
+
+/**
+ * Finds the database additives in a list of ingredient strings.
+ * @param {string[]} ingredients - e.g. a drink's keyIngredients.
+ * @returns {Array<{ code: string|null, name: string, category: string,
+ *   level: 'warning'|'caution'|'info', sensitivities: string[], note: string,
+ *   ingredient: string, match: 'code'|'name'|'code+name' }>} One finding
+ *   per additive, worst level first; `match` says whether the E-number, the
+ *   name or both were on the label.
+ */
+function matchAdditives(ingredients) {
+  const findings = new Map();
+  for (const ingredient of Array.isArray(ingredients) ? ingredients : []) {
+    if (typeof ingredient !== 'string') continue;
+    for (const { additive, match } of matchIngredient(ingredient)) {
+      const id = additiveId(additive);
+      const known = findings.get(id);
+      if (known) {
+        if (known.match !== match) known.match = 'code+name';
+        continue;
+      }
+      findings.set(id, {
+        code: additive.code,
+        name: additive.name,
+        category: additive.category,
+        level: additive.level,
+        sensitivities: additive.sensitivities,
+        note: additive.note,
+        ingredient,
+        match
+      });
+    }
+  }
+  return [...findings.values()].sort((a, b) => LEVELS.indexOf(a.level) - LEVELS.indexOf(b.level));
+}
+
+/**
+ * Adds `additiveFindings` (see matchAdditives) and the database version to a
+ * drink result.
+ * @param {object} drinkResult - Normalized brand scan result.
+ * @returns {object}
+ */
+function applyAdditiveRules(drinkResult) {
+  return {
+    ...drinkResult,
+    additiveFindings: matchAdditives(drinkResult.keyIngredients),
+    additiveDatabaseVersion: additiveData.version
+  };
+}
+
+module.exports = { matchAdditives, applyAdditiveRules, databaseVersion: additiveData.version };
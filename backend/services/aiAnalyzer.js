@@ -1,15 +1,88 @@
-const { VertexAI } = require('@google-cloud/vertexai');
 const fs = require('fs');
+const z = require('zod');
+const config = require('../config');
+const { getProvider } = require('./aiProviders');
+const { worstRiskLevel } = require('./household');
+const { checkNutrition } = require('./nutrition');
+const { t, languageInfo } = require('./i18n');
+const { getPrompt, renderPrompt } = require('./promptRegistry');
 
-// IMPORTANT: Ensure this project ID and location are correct for your Vertex AI setup
-const vertexAI = new VertexAI({
-  project: 'workshop-genai-477501', 
-  location: 'us-central1'
-});
+// The model backend (Vertex, fixture, ...) is chosen by AI_PROVIDER, see config.js
 
-const model = vertexAI.getGenerativeModel({
-  model: 'gemini-2.5-flash-image'
-});
+// The production prompt (see services/promptRegistry.js); cached results are
+// keyed on it. Loading it here makes a bad version fail at startup.
+const PROMPT_VERSION = getPrompt('meal').version;
+// Follow-up turn sent when a reply fails MealAnalysisSchema
+const REPAIR_PROMPT_VERSION = getPrompt('repair').version;
+
+/**
+ * The meal result: what the analyzer returns (next to `rawResponse` and
+ * `promptVersion`), what POST /api/scan sends as `aiResult` and what a
+ * completed meal scan stores as `result`. The allergen rules add
+ * `allergen_rule_hits`/`risk_override` on top (services/allergenEngine.js).
+ * @typedef {Object} MealResult
+ * @property {'SAFE'|'MODERATE'|'CRITICAL'} risk_level - Worst case across the household.
+ * @property {number} risk_score - 1-10.
+ * @property {Array<{ member_id: string, name: string, risk_level: string, risk_score: number, reason: string }>} member_risks
+ * @property {object} nutrition - checkNutrition() output (services/nutrition.js).
+ * @property {string[]} localized_visible_ingredients
+ * @property {string[]} hidden_ingredients
+ * @property {string} allergy_risk_summary
+ * @property {string} health_risk_summary
+ * @property {string} expert_take_paragraph
+ * @property {string[]} safe_swaps
+ * @property {string[]} localized_actionable_fixes
+ * @property {string[]} health_consumption_advice
+ * @property {string} language
+ * @property {boolean} degraded - The model's reply still failed validation after
+ *   the repair turns; the fields in `fallback_fields` hold defaults (CRITICAL/10
+ *   when the verdict itself was unusable).
+ * @property {string[]} fallback_fields - Model output keys that were missing or invalid.
+ * @property {number} repair_attempts - Repair turns it took (0 when the first reply was valid).
+ */
+
+// --- Schema Definition for Response Validation (Zod) ---
+const RiskLevel = z.preprocess(
+  (value) => (typeof value === 'string' ? value.trim().toUpperCase() : value),
+  z.enum(['SAFE', 'MODERATE', 'CRITICAL'])
+);
+const RiskScore = z.coerce.number().int().min(1).max(10);
+const Text = z.string().trim().min(1);
+const Nutrient = z.number().min(0).nullable().optional();
+
+// Checked one key at a time too, so a reply that stays invalid keeps its good
+// fields. member_risks and nutrition_items may be left out: skipped members get
+// the overall verdict and nutrition falls back to the visible ingredients.
+const MEAL_FIELDS = {
+  risk_level: RiskLevel,
+  risk_score: RiskScore,
+  member_risks: z.array(z.object({
+    member_id: z.union([z.string(), z.number()]).transform(String),
+    risk_level: RiskLevel,
+    risk_score: RiskScore,
+    reason: Text
+  })).optional(),
+  localized_visible_ingredients: z.array(Text),
+  nutrition_items: z.array(z.object({
+    item: Text,
+    portion_g: Nutrient,
+    kcal: Nutrient,
+    carbs_g: Nutrient,
+    sugar_g: Nutrient,
+    protein_g: Nutrient,
+    fat_g: Nutrient,
+    fibre_g: Nutrient,
+    sodium_mg: Nutrient
+  })).optional(),
+  hidden_ingredients: z.array(Text),
+  allergy_risk_summary: Text,
+  health_risk_summary: Text,
+  expert_take_paragraph: Text,
+  safe_swaps: z.array(Text),
+  localized_actionable_fixes: z.array(Text),
+  health_consumption_advice: z.array(Text)
+};
+const MealAnalysisSchema = z.object(MEAL_FIELDS);
 
 // --- HELPER: Clean JSON returned by AI ---
 function cleanJsonResponse(text) {
@@ -19,130 +92,233 @@ function cleanJsonResponse(text) {
     .trim();                   // Trim whitespace
 }
 
-async function analyzeImageWithVertex(localFilePath, userProfile) {
+// Parses and validates one model reply; `issues` are worded for the repair prompt
+function validateReply(raw, schema = MealAnalysisSchema) {
+  let parsed;
   try {
-    const imgBuffer = fs.readFileSync(localFilePath);
-    const imgBase64 = Buffer.from(imgBuffer).toString('base64');
+    parsed = JSON.parse(cleanJsonResponse(raw));
+  } catch (err) {
+    return { parsed: null, issues: [`The reply is not valid JSON (${err.message})`] };
+  }
+  const valid = schema.safeParse(parsed);
+  if (valid.success) return { parsed: valid.data, issues: [] };
+  return {
+    parsed,
+    issues: valid.error.issues.slice(0, 20).map((issue) => `${issue.path.join('.') || 'reply'}: ${issue.message}`)
+  };
+}
 
-    // --- SAFELY ENSURE ARRAYS ---
-    const allergies = Array.isArray(userProfile.allergicFoods) ? userProfile.allergicFoods : [];
-    const healthConditions = Array.isArray(userProfile.healthConditions) ? userProfile.healthConditions : [];
-
-    // =========================================================================
-    // HACKATHON WINNING PROMPT ENGINEERING (UPDATED FOR HEALTH ADVICE)
-    // =========================================================================
-    const prompt = `
-You are a highly specialized and culturally sensitive food safety expert for the SafeBite African community. Your primary goal is to provide **actionable, localized, and context-aware advice**.
-
-### AFRICAN CULTURAL CONTEXT & FOOD KNOWLEDGE:
-* **Always** use African food names first, followed by the English translation in parentheses (e.g., 'Wali (Rice)', 'Nduma (Arrowroot)', 'Sukuma Wiki (Collard Greens)', 'Nyama (Meat)').
-* **Prioritize** local, affordable swaps: Nduma, Ngwaci, Minji, Ndengu, Omena, Tilapia, Matoke, Kachumbari, Githeri.
-* **Understand** the African Plate Model (for health risks): A healthy meal requires balance. High starch portions (e.g., Ugali, Wali) are risks, but protein (Nyama) and green vegetables (Mboga) mitigate this risk.
-
-### RISK SCORING & DECISION LOGIC:
-DO NOT use "SAFE" or "NOT SAFE". Use the following 3-tiered system based on the analysis of the image relative to the User Profile:
-
-1.  **CRITICAL:** If a **direct allergen** is clearly visible OR if the meal presents an **extreme, undeniable health risk** (e.g., pure heavy starch for a diabetic). This means STOP.
-2.  **MODERATE:** If the meal is **suboptimal** due to poor portioning (too much starch, too much oil) or moderate risk health factors. This means ADJUST.
-3.  **SAFE:** If the meal is well-balanced or poses no risk. This means ENJOY.
-
-### REQUIRED OUTPUT (STRICT JSON FORMAT):
-Your ENTIRE response **must ONLY be valid JSON** with NO extra text, comments, or preamble. The JSON MUST contain EXACTLY the following keys:
-
-{
-  "risk_level": "CRITICAL" or "MODERATE" or "SAFE",
-  "risk_score": 1-10 (10 being highest risk),
-  "localized_visible_ingredients": [
-    "List of items using local names (e.g., Wali, Nyama) with their risk tag: (RISK/ALLERGY/SAFE)",
-    "Example: Wali (White Rice) (RISK/ALLERGY)",
-    "Example: Sukuma Wiki (Collard Greens) (SAFE)"
-  ],
-  "hidden_ingredients": ["list of possible hidden ingredients"],
-  "allergy_risk_summary": "short sentence (localized if possible)",
-  "health_risk_summary": "short sentence (localized if possible)",
-  "expert_take_paragraph": "2–3 friendly, localized sentences",
-  "safe_swaps": [
-    "suggestion 1 (Localized & Affordable)", 
-    "suggestion 2 (Localized & Affordable)", 
-    "suggestion 3 (Localized & Affordable)"
-  ],
-  "localized_actionable_fixes": [
-    "The most important, immediate fix, especially for MODERATE risk (e.g., 'Eat the beef, avoid most rice.')",
-    "A second quick fix (e.g., 'Add a side of Kachumbari for fiber.')"
-  ],
-  "health_consumption_advice": [
-    "Based on the user's Health Conditions (${healthConditions.join(", ")}), provide 2-3 specific, localized tips on how to consume THIS MEAL (e.g., portion control, eating less of a specific component, consumption technique) to maximize health."
-  ]
+// Keeps the keys that pass on their own; the rest are listed for the defaults
+function salvageFields(parsed, fieldSchemas = MEAL_FIELDS) {
+  const fields = {};
+  const fallbackFields = [];
+  for (const [key, schema] of Object.entries(fieldSchemas)) {
+    const valid = schema.safeParse(parsed?.[key]);
+    if (valid.success) fields[key] = valid.data;
+    else fallbackFields.push(key);
+  }
+  return { fields, fallbackFields };
 }
 
-User Allergies: ${allergies.join(", ")}
-User Health Conditions: ${healthConditions.join(", ")}
-`;
-    // =========================================================================
-    // END PROMPT ENGINEERING
-    // =========================================================================
-
-    const response = await model.generateContent({
-      contents: [
-        {
-          role: 'user',
-          parts: [
-            { text: prompt },
-            {
-              inline_data: {
-                mime_type: 'image/jpeg',
-                data: imgBase64
-              }
-            }
-          ]
-        }
-      ],
+const isJsonObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Who an analysis is for and the prompt placeholders that describe them.
+ * @param {object} userProfile - analysisProfile() plus `language`.
+ * @returns {{ members: object[], language: object, promptVars: Object<string, string> }}
+ */
+function householdContext(userProfile) {
+  // --- SAFELY ENSURE ARRAYS ---
+  const allergies = Array.isArray(userProfile.allergicFoods) ? userProfile.allergicFoods : [];
+  const healthConditions = Array.isArray(userProfile.healthConditions) ? userProfile.healthConditions : [];
+
+  // Household scans list who is eating; a plain profile is a household of one
+  const members = Array.isArray(userProfile.members) && userProfile.members.length > 0
+    ? userProfile.members
+    : [{ id: 'self', name: 'You', allergicFoods: allergies, healthConditions }];
+  // Output language: set by the route from the request or the profile
+  const language = languageInfo(userProfile.language);
+
+  const memberLines = members.map((member) =>
+    `- member_id: ${member.id} | name: ${member.name} | allergies: ${(member.allergicFoods || []).join(", ") || "none"} | health conditions: ${(member.healthConditions || []).join(", ") || "none"}`
+  ).join("\n");
+
+  return {
+    members,
+    language,
+    promptVars: {
+      language_name: language.name,
+      language_native_name: language.nativeName,
+      language_prompt_note: language.promptNote,
+      allergies: allergies.join(", "),
+      health_conditions: healthConditions.join(", "),
+      member_lines: memberLines
+    }
+  };
+}
+
+/**
+ * Asks the model for JSON, sending a reply that fails `schema` back with its
+ * errors (the repair prompt) up to config.ai.mealRepairAttempts times.
+ * @param {string} task - Provider task ('meal', 'text').
+ * @param {object[]} contents - The first user turn; repair turns are appended.
+ * @param {import('zod').ZodTypeAny} schema
+ * @returns {Promise<{ raw: string, parsed: any, issues: string[], repairAttempts: number }>}
+ */
+async function generateWithRepair(task, contents, schema) {
+  let raw;
+  let reply;
+  let repairAttempts = 0;
+  for (;;) {
+    const response = await getProvider().generateContent({
+      task,
+      contents,
       config: { responseMimeType: "application/json" }
     });
+    raw = response.response.candidates?.[0]?.content?.parts?.[0]?.text || "{}";
+    reply = validateReply(raw, schema);
+    if (reply.issues.length === 0 || repairAttempts >= config.ai.mealRepairAttempts) break;
 
-    // --- CLEAN AI RESPONSE BEFORE PARSING ---
-    const raw = response.response.candidates?.[0]?.content?.parts?.[0]?.text || "{}";
-    const cleaned = cleanJsonResponse(raw);
+    repairAttempts += 1;
+    console.warn(`The ${task} reply failed validation, repair ${repairAttempts}/${config.ai.mealRepairAttempts}:`, reply.issues.join('; '));
+    contents.push(
+      { role: 'model', parts: [{ text: raw }] },
+      { role: 'user', parts: [{ text: renderPrompt('repair', REPAIR_PROMPT_VERSION, { errors: reply.issues.map((issue) => `- ${issue}`).join("\n") }) }] }
+    );
+  }
+  return { raw, ...reply, repairAttempts };
+}
 
-    let parsed;
-    try {
-      parsed = JSON.parse(cleaned);
-    } catch (err) {
+/**
+ * The MealResult fields from validated (or salvaged) model output, with a
+ * row per household member and localized defaults for anything missing.
+ * @param {object} fields - Keys of MEAL_FIELDS that passed validation.
+ * @param {string[]} fallbackFields - Keys that did not.
+ * @param {{ members: object[], language: object, nutrition?: boolean }} context
+ *   - `nutrition: false` leaves the nutrition estimate out (text analysis).
+ * @returns {MealResult}
+ */
+function buildMealResult(fields, fallbackFields, { members, language, nutrition = true }) {
+  // --- PER-MEMBER BREAKDOWN: one row per requested member, in request order ---
+  const overallLevel = fields.risk_level || "CRITICAL"; // Default to high risk if AI fails
+  const overallScore = fields.risk_score || 10;
+  const modelRows = fields.member_risks || [];
+  const memberRisks = members.map((member) => {
+    const row = modelRows.find((candidate) => candidate.member_id === String(member.id)) || {};
+    return {
+      member_id: member.id,
+      name: member.name,
+      // Members the model skipped get the overall verdict rather than a guess
+      risk_level: row.risk_level || overallLevel,
+      risk_score: row.risk_score || overallScore,
+      reason: row.reason || t(language.code, 'meal.memberFallback')
+    };
+  });
+
+  // --- CONSOLIDATED & SAFER RESPONSE OBJECT (This is the correctly fixed block) ---
+  // Fallback strings come from locales/<language>.json
+  return {
+    // NEW REQUIRED FIELDS
+    // Overall verdict is the worst case across the household
+    risk_level: worstRiskLevel([overallLevel, ...memberRisks.map((row) => row.risk_level)]) || overallLevel,
+    risk_score: Math.max(overallScore, ...memberRisks.map((row) => row.risk_score)),
+    member_risks: memberRisks,
+    // Per-item estimates checked against data/foodComposition.json, with glycemic load
+    ...(nutrition ? { nutrition: checkNutrition(fields.nutrition_items, fields.localized_visible_ingredients) } : {}),
+    localized_actionable_fixes: fields.localized_actionable_fixes || [t(language.code, 'meal.noAction')],
+    
+    // THE CRITICAL LINE THAT MUST BE INCLUDED:
+    health_consumption_advice: fields.health_consumption_advice || [t(language.code, 'meal.noAdvice')],
+
+    // CORE FIELDS
+    localized_visible_ingredients: fields.localized_visible_ingredients || [],
+    hidden_ingredients: fields.hidden_ingredients || [],
+    allergy_risk_summary: fields.allergy_risk_summary || t(language.code, 'meal.noAllergyRisk'),
+    health_risk_summary: fields.health_risk_summary || t(language.code, 'meal.noHealthRisk'),
+    expert_take_paragraph: fields.expert_take_paragraph || t(language.code, 'meal.expertTakeDefault'),
+    safe_swaps: fields.safe_swaps || [t(language.code, 'meal.swapDefault')],
+    language: language.code,
+
+    degraded: fallbackFields.length > 0,
+    fallback_fields: fallbackFields
+  };
+}
+
+/**
+ * Analyzes a meal photo for the profile's household. A reply that fails
+ * MealAnalysisSchema is sent back with its errors, up to
+ * config.ai.mealRepairAttempts times; after that the valid fields are kept
+ * and the result is marked `degraded`.
+ * @param {string} localFilePath - Preprocessed JPEG (middleware/upload.js).
+ * @param {object} userProfile - analysisProfile() plus `language`.
+ * @param {{ promptVersion?: string }} [options] - Another released prompt to
+ *   run instead of the active one (the evaluation harness).
+ * @returns {Promise<MealResult & { rawResponse: string, promptVersion: string } | { error: true, message: string }>}
+ */
+async function analyzeImageWithVertex(localFilePath, userProfile, { promptVersion = PROMPT_VERSION } = {}) {
+  try {
+    const imgBuffer = fs.readFileSync(localFilePath);
+    const imgBase64 = Buffer.from(imgBuffer).toString('base64');
+    const { members, language, promptVars } = householdContext(userProfile);
+
+    // Template in prompts/meal/<version>.txt
+    const prompt = renderPrompt('meal', promptVersion, promptVars);
+
+    const contents = [
+      {
+        role: 'user',
+        parts: [
+          { text: prompt },
+          {
+            inline_data: {
+              // Uploads are converted to JPEG by middleware/upload.js
+              mime_type: 'image/jpeg',
+              data: imgBase64
+            }
+          }
+        ]
+      }
+    ];
+
+    // --- ASK, THEN REPAIR: invalid replies go back with their errors ---
+    const { raw, parsed, issues, repairAttempts } = await generateWithRepair('meal', contents, MealAnalysisSchema);
+    if (!isJsonObject(parsed)) {
       console.error("❌ AI returned malformed JSON:", raw);
-      return { error: true, message: "AI returned malformed JSON", rawResponse: raw };
+      return { error: true, message: "AI returned malformed JSON", rawResponse: raw, promptVersion };
+    }
+    const { fields, fallbackFields } = issues.length === 0
+      ? { fields: parsed, fallbackFields: [] }
+      : salvageFields(parsed);
+    if (fallbackFields.length > 0) {
+      console.error(`❌ Meal reply still invalid after ${repairAttempts} repair(s), using defaults for:`, fallbackFields.join(', '));
     }
 
-    // --- CONSOLIDATED & SAFER RESPONSE OBJECT (This is the correctly fixed block) ---
-    const safeJson = {
-      // NEW REQUIRED FIELDS
-      risk_level: parsed.risk_level || "CRITICAL", // Default to high risk if AI fails
-      risk_score: parsed.risk_score || 10,
-      localized_actionable_fixes: Array.isArray(parsed.localized_actionable_fixes) ? parsed.localized_actionable_fixes : ["No immediate action needed."],
-      
-      // THE CRITICAL LINE THAT MUST BE INCLUDED:
-      health_consumption_advice: Array.isArray(parsed.health_consumption_advice) ? parsed.health_consumption_advice : ["No specific consumption advice available."],
-
-      // CORE FIELDS
-      localized_visible_ingredients: Array.isArray(parsed.localized_visible_ingredients) ? parsed.localized_visible_ingredients : [],
-      hidden_ingredients: Array.isArray(parsed.hidden_ingredients) ? parsed.hidden_ingredients : [],
-      allergy_risk_summary: parsed.allergy_risk_summary || "Hakuna hatari (No specific allergy risks detected).",
-      health_risk_summary: parsed.health_risk_summary || "Hakuna hatari kubwa (No major health risks noted).",
-      expert_take_paragraph: parsed.expert_take_paragraph || "Inaonekana nzuri! (Looks good!) Here's what we think about your meal.",
-      safe_swaps: Array.isArray(parsed.safe_swaps) ? parsed.safe_swaps : ["Jaribu mlo mwepesi (Try a lighter alternative next time)."]
-    };
-
-    // --- FRONTEND-READY RETURN ---
     return {
-      status: "Scan analyzed",
-      scanId: Date.now().toString(),
-      imageUrl: localFilePath,
-      aiResult: safeJson // Contains the new, localized JSON structure
+      ...buildMealResult(fields, fallbackFields, { members, language }),
+      repair_attempts: repairAttempts,
+
+      rawResponse: raw, // Model text as received; stored for review, not sent to users
+      promptVersion
     };
 
   } catch (err) {
     console.error("Vertex AI error:", err);
-    return { error: true, message: err.message || 'AI analysis failed', details: err.stack };
+    return { error: true, message: err.message || 'AI analysis failed', details: err.stack, promptVersion };
   }
 }
 
-module.exports = { analyzeImageWithVertex };
\ No newline at end of file
+module.exports = {
+  analyzeImageWithVertex,
+  PROMPT_VERSION,
+  REPAIR_PROMPT_VERSION,
+  // Shared with the text analyzer (services/textAnalyzer.js)
+  MEAL_FIELDS,
+  RiskLevel,
+  Text,
+  validateReply,
+  salvageFields,
+  isJsonObject,
+  householdContext,
+  generateWithRepair,
+  buildMealResult
+};
@@ -0,0 +1,52 @@
+// services/aiProviders/fixtureProvider.js
+// Deterministic offline provider for development and integration tests.
+// Responses are looked up by task ('meal', 'drink', ...) and the SHA-256 of
+// the first inline image; unknown images, and text-only requests, get the
+// task's "default" entry.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { toVertexResponse } = require('./response');
+
+const DEFAULT_FIXTURE_FILE = path.join(__dirname, '..', '..', 'fixtures', 'ai-responses.json');
+
+/**
+ * Finds the first inline image in a Vertex-style contents array.
+ * @param {Array<object>} contents - Request contents.
+ * @returns {string | null} Base64 image data.
+ */
+function findImageData(contents) {
+  for (const message of contents || []) {
+    for (const part of message.parts || []) {
+      const inline = part.inline_data || part.inlineData;
+      if (inline && inline.data) return inline.data;
+    }
+  }
+  return null;
+}
+
+module.exports = function createFixtureProvider(aiConfig) {
+  const fixtureFile = aiConfig.fixture.file || DEFAULT_FIXTURE_FILE;
+  const fixtures = JSON.parse(fs.readFileSync(fixtureFile, 'utf8'));
+
+  return {
+    name: 'fixture',
+    async generateContent({ task, contents }) {
+      const byTask = fixtures[task];
+      if (!byTask) throw new Error(`No fixtures recorded for task "${task}"`);
+
+      const imageData = findImageData(contents);
+      const hash = imageData
+        ? crypto.createHash('sha256').update(Buffer.from(imageData, 'base64')).digest('hex')
+        : null;
+
+      const entry = (hash && byTask[hash]) || byTask.default;
+      if (!entry) throw new Error(`No fixture for image ${hash} and no default for task "${task}"`);
+
+      // Entries are stored as objects for readability; strings are passed
+      // through untouched so malformed replies can be recorded too.
+      return toVertexResponse(typeof entry === 'string' ? entry : JSON.stringify(entry));
+    }
+  };
+};
@@ -0,0 +1,45 @@
+// services/aiProviders/index.js
+// Registry of AI providers. A provider is any object exposing
+// `generateContent({ task, contents, config })` that resolves to a
+// Vertex-shaped response ({ response: { candidates: [...] } }), so the
+// analyzers can parse every provider's output the same way.
+
+const config = require('../../config');
+const { toVertexResponse } = require('./response');
+
+const factories = {};
+const instances = {};
+
+/**
+ * Registers a provider factory under a name.
+ * @param {string} name - Name used in AI_PROVIDER (e.g. 'vertex').
+ * @param {function(object): object} factory - Receives the ai config, returns a provider.
+ */
+function registerProvider(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error(`Provider factory for "${name}" must be a function`);
+  }
+  factories[name] = factory;
+  delete instances[name];
+}
+
+/**
+ * Returns the provider instance for a name, creating it on first use.
+ * @param {string} [name] - Defaults to the configured provider.
+ * @returns {object} Provider with a generateContent() method.
+ */
+function getProvider(name = config.ai.provider) {
+  if (!instances[name]) {
+    const factory = factories[name];
+    if (!factory) {
+      throw new Error(`Unknown AI provider "${name}". Registered: ${Object.keys(factories).join(', ')}`);
+    }
+    instances[name] = factory(config.ai);
+  }
+  return instances[name];
+}
+
+registerProvider('vertex', require('./vertexProvider'));
+registerProvider('fixture', require('./fixtureProvider'));
+
+module.exports = { registerProvider, getProvider, toVertexResponse };
@@ -0,0 +1,18 @@
+// services/aiProviders/response.js
+
+/**
+ * Wraps plain text in the response shape the Vertex SDK returns.
+ * @param {string} text - Model output text.
+ * @returns {object} Vertex-shaped response.
+ */
+function toVertexResponse(text) {
+  return {
+    response: {
+      candidates: [
+        { content: { role: 'model', parts: [{ text }] }, finishReason: 'STOP' }
+      ]
+    }
+  };
+}
+
+module.exports = { toVertexResponse };
@@ -0,0 +1,21 @@
+// services/aiProviders/vertexProvider.js
+// Gemini on Vertex AI. The client is created on the first call so that
+// requiring the routes doesn't need Google credentials.
+
+const { VertexAI } = require('@google-cloud/vertexai');
+
+module.exports = function createVertexProvider(aiConfig) {
+  const { project, location, model: modelName } = aiConfig.vertex;
+  let model = null;
+
+  return {
+    name: 'vertex',
+    async generateContent({ contents, config }) {
+      if (!model) {
+        const vertexAI = new VertexAI({ project, location });
+        model = vertexAI.getGenerativeModel({ model: modelName });
+      }
+      return model.generateContent({ contents, config });
+    }
+  };
+};
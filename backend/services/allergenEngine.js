@@ -0,0 +1,380 @@
+// services/allergenEngine.js
+// Deterministic, rule-based allergen matching. Cross-checks what the model
+// reports against a bundled synonym/derivative dictionary (data/allergens.json)
+// so an allergen is flagged even when the model calls the meal SAFE.
+
+const allergenData = require('../data/allergens.json');
+const { t } = require('./i18n');
+
+// Words that carry no meaning when resolving a profile allergy
+const STOPWORDS = new Set(['a', 'an', 'and', 'of', 'the', 'with', 'ya', 'wa', 'na', 'za', 'allergy', 'allergic', 'to']);
+
+// Risk tags the meal prompt appends to each item, e.g. "Wali (White Rice) (RISK/ALLERGY)"
+const RISK_TAG = /\((?:RISK|ALLERGY|SAFE)(?:\s*\/\s*(?:RISK|ALLERGY|SAFE))*\)/gi;
+
+// --- Text Normalization ---
+
+function singular(word) {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Lowercases, strips accents and punctuation and singularizes each word.
+ * @param {string} text
+ * @returns {string[]} Tokens.
+ */
+function tokenize(text) {
+  return String(text || '')
+    .replace(RISK_TAG, ' ')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map(singular);
+}
+
+function levenshtein(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+// Shorter terms are one letter away from everyday words ("mustard" ~
+// "custard", "bitter" ~ "butter"), so only long ones are matched fuzzily
+const MIN_FUZZY_LENGTH = 9;
+
+/**
+ * Compares two tokens, tolerating one typo or model misspelling in long
+ * words only ("groundnuts" ~ "grounduts"). Tokens that are dictionary words
+ * themselves ("metabisulfite", "groundnut") are never a typo of another term.
+ * Fuzzy matches are only ever reported as possible (see isCertain).
+ * @returns {'exact' | 'fuzzy' | null}
+ */
+function compareTokens(token, term) {
+  if (token === term) return 'exact';
+  if (term.length < MIN_FUZZY_LENGTH || vocabulary.has(token)) return null;
+  if (Math.abs(token.length - term.length) <= 1 && levenshtein(token, term) <= 1) return 'fuzzy';
+  return null;
+}
+
+/**
+ * Looks for the term's token sequence inside the text tokens.
+ * @returns {'exact' | 'fuzzy' | null}
+ */
+function findSequence(tokens, termTokens) {
+  for (let start = 0; start + termTokens.length <= tokens.length; start++) {
+    let kind = 'exact';
+    for (let k = 0; k < termTokens.length; k++) {
+      const match = compareTokens(tokens[start + k], termTokens[k]);
+      if (!match) { kind = null; break; }
+      if (match === 'fuzzy') kind = 'fuzzy';
+    }
+    if (kind) return kind;
+  }
+  return null;
+}
+
+// Removes excluded phrases (e.g. "coconut milk" for the milk group) before matching
+function withoutExcluded(tokens, excludes) {
+  let remaining = tokens;
+  for (const exclude of excludes) {
+    for (let start = 0; start + exclude.length <= remaining.length; start++) {
+      if (exclude.every((word, k) => remaining[start + k] === word)) {
+        remaining = [...remaining.slice(0, start), '|', ...remaining.slice(start + exclude.length)];
+      }
+    }
+  }
+  return remaining;
+}
+
+// --- Dictionary ---
+
+const groups = allergenData.groups.map((group) => ({
+  id: group.id,
+  label: group.label,
+  nameTokens: [...new Set([...tokenize(group.id), ...tokenize(group.label), ...group.aliases.flatMap(tokenize)])]
+    .filter((token) => !STOPWORDS.has(token)),
+  // Longest terms first so the most specific rule is the one reported
+  terms: group.terms
+    .map((term) => ({ term, tokens: tokenize(term) }))
+    .sort((a, b) => b.tokens.length - a.tokens.length),
+  excludes: group.exclude.map(tokenize)
+}));
+
+// Every word the dictionary knows, so one is not taken for a typo of another
+const vocabulary = new Set(groups.flatMap((group) => [...group.nameTokens, ...group.terms.flatMap((term) => term.tokens)]));
+
+/**
+ * Maps each free-text profile allergy ("Peanuts (Njugu)", "nuts", "shrimp")
+ * to dictionary groups. Group names and aliases are tried first, then the
+ * ingredient terms; allergies the dictionary doesn't know are matched on
+ * their own words.
+ * @param {string[]} allergicFoods - Profile allergies.
+ * @returns {Array<{ allergy: string, groups: object[], customTerms: object[] }>}
+ */
+function resolveAllergies(allergicFoods) {
+  return (Array.isArray(allergicFoods) ? allergicFoods : [])
+    .filter((allergy) => typeof allergy === 'string' && allergy.trim())
+    .map((allergy) => {
+      const tokens = tokenize(allergy).filter((token) => !STOPWORDS.has(token));
+      const byName = groups.filter((group) =>
+        tokens.some((token) => group.nameTokens.some((name) => compareTokens(token, name))));
+      const matched = byName.length > 0
+        ? byName
+        : groups.filter((group) => group.terms.some(({ tokens: termTokens }) => findSequence(tokens, termTokens)));
+
+      return {
+        allergy,
+        groups: matched,
+        customTerms: matched.length > 0 ? [] : [{ term: tokens.join(' '), tokens }]
+      };
+    })
+    .filter((resolved) => resolved.groups.length > 0 || resolved.customTerms[0].tokens.length > 0);
+}
+
+/**
+ * Runs the allergen rules over lists of ingredient strings.
+ * @param {Object<string, string[]>} sources - Ingredient lists keyed by field
+ *   name, e.g. { hidden_ingredients: [...], keyIngredients: [...] }.
+ * @param {string[]} allergicFoods - Profile allergies.
+ * @returns {Array<object>} One hit per (allergy, ingredient), each naming the rule that fired.
+ */
+function matchAllergens(sources, allergicFoods) {
+  const resolved = resolveAllergies(allergicFoods);
+  const hits = [];
+  if (resolved.length === 0) return hits;
+
+  for (const [source, items] of Object.entries(sources)) {
+    for (const ingredient of Array.isArray(items) ? items : []) {
+      if (typeof ingredient !== 'string') continue;
+      const tokens = tokenize(ingredient);
+
+      for (const { allergy, groups: allergyGroups, customTerms } of resolved) {
+        const rules = [
+          ...allergyGroups.map((group) => ({ group, terms: group.terms, tokens: withoutExcluded(tokens, group.excludes) })),
+          ...(customTerms.length ? [{ group: null, terms: customTerms, tokens }] : [])
+        ];
+
+        for (const rule of rules) {
+          const hit = rule.terms
+            .map(({ term, tokens: termTokens }) => ({ term, match: findSequence(rule.tokens, termTokens) }))
+            .find(({ match }) => match);
+          if (!hit) continue;
+
+          hits.push({
+            rule: `${rule.group ? rule.group.id : 'custom'}:${hit.term}`,
+            group: rule.group ? rule.group.label : allergy,
+            allergy,
+            ingredient,
+            source,
+            match: hit.match
+          });
+          break; // one hit per allergy and ingredient is enough
+        }
+      }
+    }
+  }
+  return hits;
+}
+
+// Hits found for a household name the members they affect; plain profile
+// checks talk to the user directly
+function describeHit(hit, language) {
+  const vars = { ingredient: hit.ingredient, allergy: hit.allergy, rule: hit.rule };
+  return hit.members
+    ? t(language, 'allergen.hitMembers', { ...vars, members: hit.members.join(' & ') })
+    : t(language, 'allergen.hit', vars);
+}
+
+// Text analysis dishes (services/textAnalyzer.js) add the model's copy of the
+// ingredients and the items as the user typed them
+const mealSources = (mealResult) => ({
+  localized_visible_ingredients: mealResult.localized_visible_ingredients,
+  hidden_ingredients: mealResult.hidden_ingredients,
+  listed_ingredients: mealResult.listed_ingredients,
+  typed_ingredients: mealResult.typed_ingredients
+});
+
+// Only exact rule hits change a verdict; fuzzy ones are shown as possible
+const isCertain = (hit) => hit.match === 'exact';
+
+function withMealHits(mealResult, allHits, language) {
+  const hits = allHits.filter(isCertain);
+  const possible = allHits.filter((hit) => !isCertain(hit));
+  const possibleFixes = possible.map((hit) => t(language, 'allergen.possible', { hit: describeHit(hit, language) }));
+  if (hits.length === 0) {
+    return possible.length === 0
+      ? { ...mealResult, allergen_rule_hits: [], possible_allergen_hits: [] }
+      : {
+        ...mealResult,
+        allergen_rule_hits: [],
+        possible_allergen_hits: possible,
+        localized_actionable_fixes: [
+          ...possibleFixes,
+          ...(Array.isArray(mealResult.localized_actionable_fixes) ? mealResult.localized_actionable_fixes : [])
+        ]
+      };
+  }
+
+  const overridden = mealResult.risk_level !== 'CRITICAL';
+  const fixes = Array.isArray(mealResult.localized_actionable_fixes) ? mealResult.localized_actionable_fixes : [];
+  return {
+    ...mealResult,
+    risk_level: 'CRITICAL',
+    risk_score: Math.max(Number(mealResult.risk_score) || 0, 9),
+    allergen_rule_hits: hits,
+    possible_allergen_hits: possible,
+    risk_override: overridden
+      ? { from: mealResult.risk_level || null, rule: hits[0].rule, reason: describeHit(hits[0], language) }
+      : null,
+    localized_actionable_fixes: [
+      t(language, 'allergen.doNotEat', { hit: describeHit(hits[0], language) }),
+      ...possibleFixes,
+      ...fixes.filter((fix) => fix !== t(language, 'meal.noAction'))
+    ]
+  };
+}
+
+function withDrinkHits(drinkResult, allHits, language) {
+  const hits = allHits.filter(isCertain);
+  const possible = allHits.filter((hit) => !isCertain(hit));
+  const warnings = [
+    ...hits.map((hit) => t(language, 'allergen.drinkWarning', { hit: describeHit(hit, language) })),
+    ...(drinkResult.warnings || []),
+    ...possible.map((hit) => t(language, 'allergen.possible', { hit: describeHit(hit, language) }))
+  ];
+  if (hits.length === 0) return { ...drinkResult, allergenMatches: [], possibleAllergenMatches: possible, warnings };
+
+  return {
+    ...drinkResult,
+    risk_level: 'CRITICAL',
+    risk_score: Math.max(Number(drinkResult.risk_score) || 0, 9),
+    allergenMatches: hits,
+    possibleAllergenMatches: possible,
+    warnings
+  };
+}
+
+/**
+ * Cross-checks a meal analysis. Any exact rule hit forces CRITICAL and
+ * records which rule fired, even when the model said SAFE; fuzzy hits only
+ * add a "check this" fix and `possible_allergen_hits`.
+ * @param {object} mealResult - The flat meal analysis (risk_level, ... fields).
+ * @param {string[]} allergicFoods - Profile allergies.
+ * @param {string} [language] - Language for the added messages (see services/i18n.js).
+ * @returns {object} A new result with `allergen_rule_hits`,
+ *   `possible_allergen_hits` and, when the verdict changed, `risk_override`.
+ */
+function applyMealAllergenRules(mealResult, allergicFoods, language) {
+  return withMealHits(mealResult, matchAllergens(mealSources(mealResult), allergicFoods), language);
+}
+
+/**
+ * Cross-checks a drink analysis' keyIngredients against the profile.
+ * @param {object} drinkResult - Normalized brand scan result.
+ * @param {string[]} allergicFoods - Profile allergies.
+ * @param {string} [language] - Language for the added warnings.
+ * @returns {object} A new result with `allergenMatches`; exact hits set
+ *   `risk_level` to CRITICAL (risk_score 9 or more) and add a warning.
+ *   Fuzzy hits go to `possibleAllergenMatches` with a softer warning.
+ */
+function applyDrinkAllergenRules(drinkResult, allergicFoods, language) {
+  return withDrinkHits(drinkResult, matchAllergens({ keyIngredients: drinkResult.keyIngredients }, allergicFoods), language);
+}
+
+// --- Households ---
+
+// Runs the rules once for everyone's allergies, then tells each member which hits are theirs
+function matchHousehold(sources, members) {
+  const allergies = [...new Set(members.flatMap((member) => member.allergicFoods))];
+  const onlySelf = members.length === 1 && members[0].self;
+
+  const hits = matchAllergens(sources, allergies).map((hit) => (onlySelf
+    ? hit
+    : { ...hit, members: members.filter((member) => member.allergicFoods.includes(hit.allergy)).map((member) => member.name) }));
+  // Member rows only change on certain hits; possible ones are listed overall
+  const hitsFor = (member) => hits.filter((hit) => isCertain(hit) && member.allergicFoods.includes(hit.allergy));
+  return { hits, hitsFor };
+}
+
+/**
+ * Household version of applyMealAllergenRules: the overall verdict uses
+ * every member's allergies, and each `member_risks` row (see aiAnalyzer)
+ * is forced to CRITICAL when one of that member's allergies matched.
+ * @param {object} mealResult - Flat meal analysis with `member_risks`.
+ * @param {object[]} members - From household.selectMembers().
+ * @param {string} [language] - Language for the added messages.
+ * @returns {object}
+ */
+function applyHouseholdAllergenRules(mealResult, members, language) {
+  const { hits, hitsFor } = matchHousehold(mealSources(mealResult), members);
+  const checked = withMealHits(mealResult, hits, language);
+
+  const memberRisks = (Array.isArray(mealResult.member_risks) ? mealResult.member_risks : []).map((row) => {
+    const member = members.find((candidate) => candidate.id === row.member_id);
+    const own = member ? hitsFor(member) : [];
+    if (own.length === 0) return { ...row, allergen_rule_hits: [] };
+
+    return {
+      ...row,
+      risk_level: 'CRITICAL',
+      risk_score: Math.max(Number(row.risk_score) || 0, 9),
+      reason: t(language, 'allergen.doNotEat', { hit: describeHit(own[0], language) }),
+      allergen_rule_hits: own
+    };
+  });
+
+  return { ...checked, member_risks: memberRisks };
+}
+
+/**
+ * Household version of applyDrinkAllergenRules. Drinks are not assessed per
+ * person by the model; each `member_risks` row (same shape as the meal ones)
+ * only reports allergen matches here: CRITICAL on a match, null otherwise.
+ * drinkHealth.applyDrinkHealthRules() fills in the rest of the verdict.
+ * @param {object} drinkResult - Normalized brand scan result.
+ * @param {object[]} members - From household.selectMembers().
+ * @param {string} [language] - Language for the added warnings and reasons.
+ * @returns {object}
+ */
+function applyHouseholdDrinkRules(drinkResult, members, language) {
+  const { hits, hitsFor } = matchHousehold({ keyIngredients: drinkResult.keyIngredients }, members);
+
+  return {
+    ...withDrinkHits(drinkResult, hits, language),
+    member_risks: members.map((member) => {
+      const own = hitsFor(member);
+      return {
+        member_id: member.id,
+        name: member.name,
+        risk_level: own.length > 0 ? 'CRITICAL' : null,
+        risk_score: own.length > 0 ? 9 : null,
+        reason: own.length > 0 ? describeHit(own[0], language) : t(language, 'allergen.noMemberMatch'),
+        allergenMatches: own
+      };
+    })
+  };
+}
+
+module.exports = {
+  tokenize,
+  describeHit,
+  findSequence,
+  withoutExcluded,
+  resolveAllergies,
+  matchAllergens,
+  applyMealAllergenRules,
+  applyDrinkAllergenRules,
+  applyHouseholdAllergenRules,
+  applyHouseholdDrinkRules,
+  dictionaryVersion: allergenData.version
+};
@@ -0,0 +1,127 @@
+// services/analysisCache.js
+// Content-hash cache in front of the AI analyzers. Retrying the exact same
+// photo or text (same profile fields, same prompt version, same provider) returns the
+// stored result instantly, and identical requests that arrive while a model
+// call is still running share that call instead of starting another.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { LRUCache } = require('lru-cache');
+const config = require('../config');
+const { analyzeImageWithVertex, PROMPT_VERSION: MEAL_PROMPT_VERSION, REPAIR_PROMPT_VERSION } = require('./aiAnalyzer');
+const { analyzeDrinkWithVertex, PROMPT_VERSION: DRINK_PROMPT_VERSION } = require('./brandScanner');
+const { analyzeTextWithVertex, PROMPT_VERSION: TEXT_PROMPT_VERSION } = require('./textAnalyzer');
+const { tableVersion: NUTRITION_TABLE_VERSION } = require('./nutrition');
+
+const { maxEntries, ttlSeconds } = config.cache;
+
+const results = maxEntries > 0
+  ? new LRUCache({ max: maxEntries, ttl: ttlSeconds * 1000 })
+  : null;
+const inFlight = new Map();
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// Order-insensitive, case-insensitive view of a profile list field
+const normalizedList = (list) => (Array.isArray(list) ? list : [])
+  .map((item) => String(item).trim().toLowerCase())
+  .filter(Boolean)
+  .sort();
+
+/**
+ * Returns the cached value for `key`, or runs `compute` once for all
+ * concurrent callers. Results flagged `error: true` or `degraded: true` are
+ * never stored, so a retake gets a fresh model call.
+ * @param {string} key
+ * @param {function(): Promise<object>} compute
+ * @returns {Promise<{ result: object, cacheStatus: 'HIT' | 'MISS' | 'COALESCED' | 'BYPASS' }>}
+ */
+async function getOrCompute(key, compute) {
+  if (!results) return { result: await compute(), cacheStatus: 'BYPASS' };
+
+  const cached = results.get(key);
+  if (cached) return { result: cached, cacheStatus: 'HIT' };
+
+  if (inFlight.has(key)) return { result: await inFlight.get(key), cacheStatus: 'COALESCED' };
+
+  const pending = (async () => {
+    try {
+      const result = await compute();
+      if (!result?.error && !result?.degraded) results.set(key, result);
+      return result;
+    } finally {
+      inFlight.delete(key);
+    }
+  })();
+  inFlight.set(key, pending);
+  return { result: await pending, cacheStatus: 'MISS' };
+}
+
+/**
+ * Cached analyzeImageWithVertex. Keyed by image hash, the profile fields,
+ * output language and household members the meal prompt uses, the prompt and
+ * repair prompt versions and the food composition table the nutrition
+ * estimates are checked against.
+ */
+// Who the meal and text prompts are written for
+const householdKey = (userProfile) => [
+  normalizedList(userProfile.allergicFoods),
+  normalizedList(userProfile.healthConditions),
+  userProfile.language || null,
+  // Household scans get a per-member breakdown, so who is eating matters too
+  (userProfile.members || []).map((member) => [
+    member.id,
+    member.name,
+    normalizedList(member.allergicFoods),
+    normalizedList(member.healthConditions)
+  ])
+];
+
+async function analyzeMealCached(localFilePath, userProfile) {
+  const key = sha256(JSON.stringify([
+    'meal',
+    MEAL_PROMPT_VERSION,
+    REPAIR_PROMPT_VERSION,
+    config.ai.mealRepairAttempts,
+    NUTRITION_TABLE_VERSION,
+    config.ai.provider,
+    sha256(fs.readFileSync(localFilePath)),
+    ...householdKey(userProfile)
+  ]));
+  return getOrCompute(key, () => analyzeImageWithVertex(localFilePath, userProfile));
+}
+
+/**
+ * Cached analyzeDrinkWithVertex. The drink prompt only uses the output
+ * language from the profile, so that plus each photo's hash, MIME type and
+ * label (in order) and the prompt version are enough.
+ */
+async function analyzeDrinkCached(images, language) {
+  const key = sha256(JSON.stringify([
+    'drink',
+    DRINK_PROMPT_VERSION,
+    config.ai.provider,
+    images.map((image) => [sha256(fs.readFileSync(image.path)), image.mimeType, image.label]),
+    language || null
+  ]));
+  return getOrCompute(key, () => analyzeDrinkWithVertex(images, language));
+}
+
+/**
+ * Cached analyzeTextWithVertex. Keyed like a meal scan, with the text's hash
+ * in place of the image's.
+ */
+async function analyzeTextCached(text, userProfile) {
+  const key = sha256(JSON.stringify([
+    'text',
+    TEXT_PROMPT_VERSION,
+    REPAIR_PROMPT_VERSION,
+    config.ai.mealRepairAttempts,
+    config.ai.provider,
+    sha256(text),
+    ...householdKey(userProfile)
+  ]));
+  return getOrCompute(key, () => analyzeTextWithVertex(text, userProfile));
+}
+
+module.exports = { analyzeMealCached, analyzeDrinkCached, analyzeTextCached, getOrCompute };
@@ -0,0 +1,102 @@
+// services/barcode.js
+// EAN/UPC helpers: checksum validation, normalization and server-side
+// decoding of a barcode from an uploaded photo.
+
+const sharp = require('sharp');
+const {
+  MultiFormatReader,
+  BarcodeFormat,
+  DecodeHintType,
+  RGBLuminanceSource,
+  BinaryBitmap,
+  HybridBinarizer
+} = require('@zxing/library');
+
+// Largest side we decode at; barcodes stay readable and big photos stay fast
+const DECODE_MAX_SIDE = 1600;
+
+/**
+ * Checks the GS1 check digit of an EAN-8, UPC-A, EAN-13 or GTIN-14 code.
+ * @param {string} code - Digits only.
+ * @returns {boolean}
+ */
+function hasValidCheckDigit(code) {
+  const digits = code.split('').map(Number);
+  const check = digits.pop();
+  // Weights alternate 3,1,3,... starting from the digit next to the check digit
+  const sum = digits.reverse().reduce((acc, digit, i) => acc + digit * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === check;
+}
+
+/**
+ * Expands an 8-digit UPC-E code (number system 0 or 1, six digits, check
+ * digit) to the UPC-A code it stands for; the check digit carries over.
+ * @param {string} code - e.g. "04963406".
+ * @returns {string | null} 12 digits ("049000006346"), or null if it isn't UPC-E shaped.
+ */
+function expandUpcE(code) {
+  if (!/^[01]\d{7}$/.test(code)) return null;
+  const [system, d1, d2, d3, d4, d5, d6, check] = code;
+  const body = {
+    0: `${d1}${d2}00000${d3}${d4}${d5}`,
+    1: `${d1}${d2}10000${d3}${d4}${d5}`,
+    2: `${d1}${d2}20000${d3}${d4}${d5}`,
+    3: `${d1}${d2}${d3}00000${d4}${d5}`,
+    4: `${d1}${d2}${d3}${d4}00000${d5}`
+  }[d6] || `${d1}${d2}${d3}${d4}${d5}0000${d6}`;
+  return `${system}${body}${check}`;
+}
+
+/**
+ * Cleans and validates a user-supplied EAN/UPC code. An 8-digit code is
+ * UPC-E when it starts with 0 or 1 and its UPC-A expansion checks out (the
+ * check digit is computed over the expanded code), else EAN-8.
+ * @param {string} input - e.g. "5 000112 546415", "012345678905" or "04963406".
+ * @returns {string | null} The code as EAN-13 (or EAN-8/GTIN-14), or null if invalid.
+ */
+function normalizeBarcode(input) {
+  const code = String(input || '').replace(/[\s-]/g, '');
+  if (!/^\d+$/.test(code) || ![8, 12, 13, 14].includes(code.length)) return null;
+  const upcA = code.length === 8 ? expandUpcE(code) : null;
+  if (upcA && hasValidCheckDigit(upcA)) return `0${upcA}`;
+  if (!hasValidCheckDigit(code)) return null;
+  // UPC-A is EAN-13 with a leading zero; store and look up one form only
+  return code.length === 12 ? `0${code}` : code;
+}
+
+/**
+ * Decodes an EAN/UPC barcode from an image file.
+ * @param {string} localFilePath - Uploaded image.
+ * @returns {Promise<string | null>} The raw decoded digits, or null if none found.
+ */
+async function decodeBarcodeFromImage(localFilePath) {
+  const { data, info } = await sharp(localFilePath)
+    .rotate() // honour EXIF orientation
+    .resize({ width: DECODE_MAX_SIDE, height: DECODE_MAX_SIDE, fit: 'inside', withoutEnlargement: true })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const hints = new Map();
+  hints.set(DecodeHintType.POSSIBLE_FORMATS, [
+    BarcodeFormat.EAN_13, BarcodeFormat.EAN_8, BarcodeFormat.UPC_A, BarcodeFormat.UPC_E
+  ]);
+  hints.set(DecodeHintType.TRY_HARDER, true);
+
+  const reader = new MultiFormatReader();
+  reader.setHints(hints);
+
+  const luminance = new RGBLuminanceSource(new Uint8ClampedArray(data), info.width, info.height);
+  try {
+    const result = reader.decode(new BinaryBitmap(new HybridBinarizer(luminance)));
+    // UPC-E comes back as its 8 digits; the catalog knows the UPC-A form
+    return result.getBarcodeFormat() === BarcodeFormat.UPC_E
+      ? expandUpcE(result.getText()) || result.getText()
+      : result.getText();
+  } catch (err) {
+    // zxing throws NotFoundException when there is no readable barcode
+    return null;
+  }
+}
+
+module.exports = { normalizeBarcode, decodeBarcodeFromImage, hasValidCheckDigit, expandUpcE };
@@ -1,9 +1,11 @@
 // services/brandScanner.js
 
-// Imports for Google Vertex AI, file system, and robust schema validation
-const { VertexAI } = require('@google-cloud/vertexai');
+// Imports for the AI provider layer, file system, and robust schema validation
 const fs = require('fs');
 const z = require('zod');
+const { getProvider } = require('./aiProviders');
+const { languageInfo } = require('./i18n');
+const { getPrompt, renderPrompt } = require('./promptRegistry');
 
 // --- Schema Definition for Response Validation (Zod) ---
 const DrinkAnalysisSchema = z.object({
@@ -15,18 +17,24 @@ const DrinkAnalysisSchema = z.object({
   warnings: z.array(z.string()).optional(),
   confidenceScore: z.number().min(0).max(100),
   localizedAdvice: z.string().optional(),
-  promotionalNote: z.string().optional()
+  promotionalNote: z.string().optional(),
+  // Per 100 ml as printed on the label; null when the label doesn't say
+  nutrition: z.object({
+    sugar_g: z.number().min(0).nullable(),
+    sodium_mg: z.number().min(0).nullable(),
+    caffeine_mg: z.number().min(0).nullable(),
+    alcohol_abv: z.number().min(0).max(100).nullable()
+  }).partial().optional(),
+  // Photo number each field was read from; checked in fieldSources()
+  sources: z.record(z.string(), z.unknown()).optional()
 });
 
-// --- Vertex AI Service Setup ---
-const vertexAI = new VertexAI({
-  project: 'workshop-genai-477501',
-  location: 'us-central1'
-});
+// Fields the model names a source photo for (prompts/drink/drink-v4.txt)
+const SOURCE_FIELDS = ['brandName', 'productType', 'manufacturer', 'keyIngredients', 'expiryDate', 'warnings', 'nutrition'];
 
-const model = vertexAI.getGenerativeModel({
-  model: 'gemini-2.5-flash-image' // Capable of handling images/multimodal
-});
+// The production prompt (see services/promptRegistry.js); cached results are
+// keyed on it. Loading it here makes a bad version fail at startup.
+const PROMPT_VERSION = getPrompt('drink').version;
 
 // --- Utility Functions ---
 
@@ -43,6 +51,27 @@ function cleanJsonResponse(text) {
     .trim();
 }
 
+/**
+ * Which photo each field was read from, as { field: { index, label } } with
+ * `index` into `images`. A single photo is the source of everything found;
+ * with several, fields without a valid photo number from the model are left out.
+ * @param {object} data - The validated analysis.
+ * @param {object} [sources] - The model's `sources` (1-based photo numbers).
+ * @param {Array<{ label: string }>} images
+ * @returns {Object<string, { index: number, label: string }>}
+ */
+function fieldSources(data, sources, images) {
+  const result = {};
+  for (const field of SOURCE_FIELDS) {
+    if (data[field] === undefined) continue;
+    const number = images.length === 1 ? 1 : Number(sources?.[field]);
+    if (Number.isInteger(number) && number >= 1 && number <= images.length) {
+      result[field] = { index: number - 1, label: images[number - 1].label };
+    }
+  }
+  return result;
+}
+
 /**
  * Attempts to safely extract the model's text response from various SDK structures.
  * @param {object} response - The raw response object from the API call.
@@ -81,58 +110,49 @@ function extractModelText(response) {
 // --- Main Brand Scanner Logic ---
 
 /**
- * Analyzes a local image file using the Gemini API.
- * @param {string} localFilePath - Path to the image file.
- * @param {string} mimeType - The MIME type of the image (e.g., 'image/jpeg').
- * @returns {Promise<object>} The validated analysis data or a detailed error object.
+ * Analyzes photos of one drink using the Gemini API. All photos go to the
+ * model in one request, each labelled with the side of the package it shows.
+ * @param {Array<{ path: string, mimeType: string, label: string }>} images -
+ *   Local image files, front first (e.g. front, back, side).
+ * @param {string} [languageCode] - Language for the advice and warnings (see locales/).
+ * @param {{ promptVersion?: string }} [options] - Another released prompt to
+ *   run instead of the active one (the evaluation harness).
+ * @returns {Promise<object>} The validated analysis data or a detailed error object,
+ *   with the model's text in `rawResponse` either way (kept for review, not sent to users)
+ *   and the prompt used in `promptVersion`. Valid results carry `fieldSources`
+ *   (see fieldSources()).
  */
-async function analyzeDrinkWithVertex(localFilePath, mimeType) {
+async function analyzeDrinkWithVertex(images, languageCode, { promptVersion = PROMPT_VERSION } = {}) {
   let aiErrorReason = null; // Hold API-specific failure details
+  const language = languageInfo(languageCode);
 
   try {
-    const imgBuffer = fs.readFileSync(localFilePath);
-    const imgBase64 = Buffer.from(imgBuffer).toString('base64');
-
-    // --- Prompt Engineering (Slightly less formal intro) ---
-    const prompt = `
-You are a food product label reader and safety analyst.
-
-Instructions for your response:
-- Read ALL visible text from the label.
-- Detect brand, ingredients, expiry date, and warnings.
-- DO NOT return empty arrays or empty strings.
-- If unsure, use your best logical guess.
-- You must always return at least one ingredient.
-- confidenceScore must be 40 <= score <= 100.
-
-Return ONLY the STRICT JSON structure:
+    // Each photo follows a caption the prompt's photo list refers to
+    const imageParts = images.flatMap((image, index) => [
+      { text: `Photo ${index + 1} (${image.label})` },
+      {
+        inline_data: {
+          mime_type: image.mimeType,
+          data: fs.readFileSync(image.path).toString('base64')
+        }
+      }
+    ]);
 
-{
-  "brandName": "string",
-  "productType": "string",
-  "manufacturer": "string",
-  "keyIngredients": ["string"],
-  "expiryDate": "string",
-  "warnings": ["string"],
-  "confidenceScore": 40,
-  "localizedAdvice": "string",
-  "promotionalNote": "string"
-}
-`;
+    // --- Prompt: template in prompts/drink/<version>.txt ---
+    const prompt = renderPrompt('drink', promptVersion, {
+      language_name: language.name,
+      language_native_name: language.nativeName,
+      language_prompt_note: language.promptNote,
+      image_list: images.map((image, index) => `- Photo ${index + 1}: ${image.label}`).join('\n')
+    });
 
-    const response = await model.generateContent({
+    // Provider (Vertex, fixture, ...) is chosen by AI_PROVIDER, see config.js
+    const response = await getProvider().generateContent({
+      task: 'drink',
       contents: [
         {
           role: 'user',
-          parts: [
-            { text: prompt },
-            {
-              inline_data: {
-                mime_type: mimeType,
-                data: imgBase64
-              }
-            }
-          ]
+          parts: [{ text: prompt }, ...imageParts]
         }
       ],
       // Request JSON output
@@ -220,10 +240,14 @@ Return ONLY the STRICT JSON structure:
     // --- Final Response Building ---
     if (validatedData) {
       // Success path: return the clean, validated object
+      const { sources, ...fields } = validatedData;
       return {
         error: false,
         message: null,
-        ...validatedData
+        ...fields,
+        fieldSources: fieldSources(fields, sources, images),
+        rawResponse: rawTextCandidate,
+        promptVersion
       };
     } else {
       // Failure path: return what we could parse, but flag the error
@@ -243,7 +267,9 @@ Return ONLY the STRICT JSON structure:
         warnings: Array.isArray(safeParsed.warnings) ? safeParsed.warnings : [],
         confidenceScore: typeof safeParsed.confidenceScore === 'number' ? safeParsed.confidenceScore : 0,
         localizedAdvice: typeof safeParsed.localizedAdvice === 'string' ? safeParsed.localizedAdvice : '',
-        promotionalNote: typeof safeParsed.promotionalNote === 'string' ? safeParsed.promotionalNote : ''
+        promotionalNote: typeof safeParsed.promotionalNote === 'string' ? safeParsed.promotionalNote : '',
+        rawResponse: rawTextCandidate,
+        promptVersion
       };
 
       return normalizedError;
@@ -263,9 +289,10 @@ Return ONLY the STRICT JSON structure:
       warnings: [],
       confidenceScore: 0,
       localizedAdvice: '',
-      promotionalNote: ''
+      promotionalNote: '',
+      promptVersion
     };
   }
 }
 
-module.exports = { analyzeDrinkWithVertex };
\ No newline at end of file
+module.exports = { analyzeDrinkWithVertex, PROMPT_VERSION };
\ No newline at end of file
@@ -0,0 +1,215 @@
+// services/drinkHealth.js
+// Personal verdict for drink scans. The model only reads the label (the
+// ingredients and the nutrition per 100 ml), which keeps its result the same
+// for everyone and cacheable by image; these rules turn the label into a
+// risk_level, risk_score and advice for each member from their health
+// conditions and dietType, on the same CRITICAL/MODERATE/SAFE scale and in
+// the same member_risks rows as meal scans.
+//
+// Thresholds per 100 ml follow the UK front-of-pack scheme for drinks
+// (sugar, sodium) and the EU "high caffeine content" label (150 mg/l).
+
+const { tokenize } = require('./allergenEngine');
+const { worstRiskLevel } = require('./household');
+const { t } = require('./i18n');
+
+const SUGAR_HIGH_G = 11.25;
+const SUGAR_MEDIUM_G = 2.5;
+const SODIUM_HIGH_MG = 300;
+const SODIUM_MEDIUM_MG = 120;
+const CAFFEINE_HIGH_MG = 15;
+// Drinks up to 0.5% ABV count as alcohol-free
+const ALCOHOL_FREE_ABV = 0.5;
+
+const terms = (list) => list.map(tokenize);
+
+// Ingredient words used when the label prints no amount. Names must match
+// word for word, like the additive names.
+const SUGARS = terms(['sugar', 'cane sugar', 'brown sugar', 'glucose', 'fructose', 'sucrose', 'dextrose',
+  'glucose syrup', 'corn syrup', 'glucose fructose syrup', 'invert sugar', 'honey', 'molasses', 'jaggery']);
+const NOT_SUGARS = terms(['sugar free', 'no added sugar', 'sugar alcohol']);
+const CAFFEINE = terms(['caffeine', 'coffee', 'guarana', 'kola', 'kola nut', 'cola nut', 'tea', 'green tea',
+  'black tea', 'mate', 'yerba mate']);
+const NOT_CAFFEINE = terms(['decaffeinated', 'decaf', 'caffeine free', 'herbal tea', 'rooibos tea', 'rooibo tea']);
+const ALCOHOL = terms(['alcohol', 'ethanol', 'beer', 'lager', 'stout', 'cider', 'wine', 'spirit', 'liqueur',
+  'rum', 'vodka', 'whisky', 'whiskey', 'gin', 'brandy', 'tequila', 'chang aa', 'busaa', 'muratina', 'palm wine']);
+const NOT_ALCOHOL = terms(['non alcoholic', 'alcohol free', 'alcohol 0', 'sugar alcohol', 'ginger beer', 'root beer']);
+
+// What each diet rules out, besides alcohol for halal
+const DIETS = {
+  vegan: terms(['milk', 'whey', 'casein', 'caseinate', 'lactose', 'cream', 'butter', 'yoghurt', 'yogurt',
+    'honey', 'egg', 'gelatin', 'gelatine', 'carmine', 'cochineal', 'e120', 'isinglass', 'collagen', 'fish']),
+  vegetarian: terms(['gelatin', 'gelatine', 'carmine', 'cochineal', 'e120', 'isinglass', 'collagen', 'fish']),
+  halal: terms(['pork', 'lard', 'bacon', 'ham'])
+};
+
+// Profile health conditions are free text; these phrases name the ones with rules
+const CONDITIONS = {
+  diabetes: terms(['diabetes', 'diabetic', 'prediabetes', 'high blood sugar']),
+  hypertension: terms(['hypertension', 'high blood pressure', 'blood pressure', 'hypertensive']),
+  pregnancy: terms(['pregnant', 'pregnancy', 'breastfeeding', 'breast feeding'])
+};
+const CHILD = terms(['child', 'son', 'daughter', 'kid', 'baby', 'toddler', 'grandchild', 'grandson', 'granddaughter']);
+
+// Start of an exact token sequence in the tokens, or -1
+function findTerm(tokens, termTokens) {
+  for (let start = 0; start + termTokens.length <= tokens.length; start++) {
+    if (termTokens.every((word, k) => tokens[start + k] === word)) return start;
+  }
+  return -1;
+}
+
+const mentions = (text, list) => {
+  const tokens = tokenize(text);
+  return list.some((termTokens) => findTerm(tokens, termTokens) >= 0);
+};
+
+// The first ingredient naming one of the terms; "decaffeinated black tea"
+// names an excluded phrase and is skipped as a whole
+function findIngredient(ingredients, list, excludes = []) {
+  return ingredients.find((ingredient) => mentions(ingredient, list) && !mentions(ingredient, excludes)) || null;
+}
+
+const amount = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+/**
+ * What the rules need from a drink result: nutrition per 100 ml where the
+ * label printed it, else which ingredient gives the substance away.
+ * @param {object} drinkResult - Normalized brand scan result with `nutrition`.
+ */
+function readLabel(drinkResult) {
+  const nutrition = drinkResult.nutrition || {};
+  const ingredients = (Array.isArray(drinkResult.keyIngredients) ? drinkResult.keyIngredients : [])
+    .filter((ingredient) => typeof ingredient === 'string');
+  const product = [drinkResult.productType, drinkResult.productName].filter(Boolean).join(' ');
+
+  const abv = amount(nutrition.alcohol_abv);
+  const alcoholFree = (abv !== null && abv <= ALCOHOL_FREE_ABV) || mentions(product, NOT_ALCOHOL);
+  const alcoholIngredient = alcoholFree ? null
+    : findIngredient(ingredients, ALCOHOL, NOT_ALCOHOL) || (mentions(product, ALCOHOL) ? product : null);
+
+  return {
+    ingredients,
+    sugar: amount(nutrition.sugar_g),
+    sugarIngredient: findIngredient(ingredients, SUGARS, NOT_SUGARS),
+    sodium: amount(nutrition.sodium_mg),
+    caffeine: amount(nutrition.caffeine_mg),
+    caffeineIngredient: findIngredient(ingredients, CAFFEINE, NOT_CAFFEINE),
+    alcohol: !alcoholFree && (abv !== null || alcoholIngredient !== null),
+    alcoholWhat: abv !== null ? `${abv}% ABV` : alcoholIngredient
+  };
+}
+
+// The conditions with rules that a member's profile mentions
+function memberConditions(member) {
+  const found = Object.keys(CONDITIONS)
+    .filter((condition) => member.healthConditions.some((text) => mentions(text, CONDITIONS[condition])));
+  if (!member.self && mentions(member.relationship, CHILD)) found.push('child');
+  return found;
+}
+
+function memberDiet(member) {
+  const tokens = tokenize(member.dietType);
+  return Object.keys(DIETS).find((diet) => tokens.includes(diet)) || null;
+}
+
+/**
+ * Checks a label against one member.
+ * @returns {Array<{ condition: string, kind: 'sugar'|'sodium'|'caffeine'|'alcohol'|'diet',
+ *   risk_level: 'CRITICAL'|'MODERATE', risk_score: number, message: string }>} Worst first.
+ */
+function memberFindings(member, label, language) {
+  const findings = [];
+  const add = (condition, kind, riskLevel, riskScore, key, vars = {}) => findings.push({
+    condition, kind, risk_level: riskLevel, risk_score: riskScore, message: t(language, key, vars)
+  });
+  const conditions = memberConditions(member);
+  const caffeine = label.caffeine !== null ? `${label.caffeine} mg/100 ml` : label.caffeineIngredient;
+  const hasCaffeine = label.caffeine !== null ? label.caffeine > 0 : label.caffeineIngredient !== null;
+  const highCaffeine = label.caffeine !== null && label.caffeine >= CAFFEINE_HIGH_MG;
+
+  if (conditions.includes('diabetes')) {
+    if (label.sugar !== null && label.sugar > SUGAR_HIGH_G) {
+      add('diabetes', 'sugar', 'CRITICAL', 8, 'drinkHealth.sugarHigh', { what: `${label.sugar} g/100 ml` });
+    } else if (label.sugar !== null && label.sugar > SUGAR_MEDIUM_G) {
+      add('diabetes', 'sugar', 'MODERATE', 5, 'drinkHealth.sugarMedium', { what: `${label.sugar} g/100 ml` });
+    } else if (label.sugar === null && label.sugarIngredient) {
+      add('diabetes', 'sugar', 'MODERATE', 5, 'drinkHealth.sugarMedium', { what: label.sugarIngredient });
+    }
+    if (label.alcohol) add('diabetes', 'alcohol', 'MODERATE', 6, 'drinkHealth.alcoholDiabetes', { what: label.alcoholWhat });
+  }
+
+  if (conditions.includes('hypertension')) {
+    if (label.sodium !== null && label.sodium > SODIUM_HIGH_MG) {
+      add('hypertension', 'sodium', 'MODERATE', 6, 'drinkHealth.sodiumHigh', { what: `${label.sodium} mg/100 ml` });
+    } else if (label.sodium !== null && label.sodium > SODIUM_MEDIUM_MG) {
+      add('hypertension', 'sodium', 'MODERATE', 4, 'drinkHealth.sodiumMedium', { what: `${label.sodium} mg/100 ml` });
+    }
+    if (hasCaffeine) add('hypertension', 'caffeine', 'MODERATE', highCaffeine ? 6 : 4, 'drinkHealth.caffeineHypertension', { what: caffeine });
+    if (label.alcohol) add('hypertension', 'alcohol', 'MODERATE', 6, 'drinkHealth.alcoholHypertension', { what: label.alcoholWhat });
+  }
+
+  if (conditions.includes('pregnancy')) {
+    if (label.alcohol) add('pregnancy', 'alcohol', 'CRITICAL', 10, 'drinkHealth.alcoholPregnancy', { what: label.alcoholWhat });
+    if (hasCaffeine) add('pregnancy', 'caffeine', 'MODERATE', highCaffeine ? 6 : 4, 'drinkHealth.caffeinePregnancy', { what: caffeine });
+  }
+
+  if (conditions.includes('child')) {
+    if (label.alcohol) add('child', 'alcohol', 'CRITICAL', 10, 'drinkHealth.alcoholChild', { what: label.alcoholWhat });
+    if (hasCaffeine) add('child', 'caffeine', 'MODERATE', highCaffeine ? 6 : 4, 'drinkHealth.caffeineChild', { what: caffeine });
+  }
+
+  const diet = memberDiet(member);
+  if (diet) {
+    const ingredient = findIngredient(label.ingredients, DIETS[diet]);
+    if (ingredient) add(diet, 'diet', 'CRITICAL', 8, `drinkHealth.diet.${diet}`, { ingredient });
+    else if (diet === 'halal' && label.alcohol) add(diet, 'diet', 'CRITICAL', 8, 'drinkHealth.diet.halalAlcohol', { what: label.alcoholWhat });
+  }
+
+  return findings.sort((a, b) => b.risk_score - a.risk_score);
+}
+
+/**
+ * Adds the personal verdict to a drink result: `risk_level` and `risk_score`
+ * (the worst case across the members), one `member_risks` row per member
+ * with its `healthFindings`, and the findings as `health_consumption_advice`.
+ * Run after applyHouseholdDrinkRules(), whose allergen verdicts are kept;
+ * without members the verdict only reflects the allergen rules.
+ * @param {object} drinkResult - Normalized brand scan result.
+ * @param {object[]} members - From household.selectMembers().
+ * @param {string} [language] - Language for the advice.
+ * @returns {object}
+ */
+function applyDrinkHealthRules(drinkResult, members, language) {
+  const label = readLabel(drinkResult);
+  const household = members.length > 1;
+  const advice = [];
+
+  const memberRisks = members.map((member) => {
+    const row = (drinkResult.member_risks || []).find((candidate) => candidate.member_id === member.id)
+      || { member_id: member.id, name: member.name, allergenMatches: [] };
+    const allergic = row.risk_level === 'CRITICAL';
+    const findings = memberFindings(member, label, language);
+    findings.forEach((finding) => advice.push(household
+      ? t(language, 'drinkHealth.forMember', { name: member.name, advice: finding.message })
+      : finding.message));
+
+    return {
+      ...row,
+      risk_level: worstRiskLevel([allergic ? 'CRITICAL' : 'SAFE', ...findings.map((finding) => finding.risk_level)]),
+      risk_score: Math.max(allergic ? row.risk_score : 1, ...findings.map((finding) => finding.risk_score)),
+      reason: allergic ? row.reason : findings[0]?.message || t(language, 'drinkHealth.noConcerns'),
+      healthFindings: findings
+    };
+  });
+
+  return {
+    ...drinkResult,
+    risk_level: worstRiskLevel([drinkResult.risk_level || 'SAFE', ...memberRisks.map((row) => row.risk_level)]),
+    risk_score: Math.max(Number(drinkResult.risk_score) || 1, ...memberRisks.map((row) => row.risk_score)),
+    member_risks: memberRisks,
+    health_consumption_advice: advice
+  };
+}
+
+module.exports = { applyDrinkHealthRules, readLabel };
@@ -0,0 +1,238 @@
+// services/expiryDate.js
+// Reads the date printed on a label ("EXP 12/25", "BB 2025-11-03",
+// "Best Before 03 NOV 25 L2310A") into an ISO date and compares it with
+// today. The model copies the text as printed; everything else happens here.
+//
+// Numeric dates are read day-first (DD/MM/YYYY) unless EXPIRY_DATE_ORDER=MDY,
+// and flagged `ambiguous` when both readings are valid dates. Month-only dates
+// ("EXP 12/25", "NOV 2025", "2026.03", "05 2027") mean the last day of that
+// month and a year alone ("EXP 2027") the last day of the year. A date that
+// doesn't exist ("30 FEB 2026") is not read at all, rather than as a part of
+// it ("FEB 2026"). Week numbers, Julian dates ("25310") and undelimited
+// month-year runs ("1225") are not supported and leave `date` null.
+
+const config = require('../config');
+const { t } = require('./i18n');
+const { localDate } = require('./intakeSummary');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// English, French and Kiswahili month names, by full name or abbreviation
+const MONTHS = {
+  jan: 1, janv: 1, january: 1, janvier: 1, januari: 1,
+  feb: 2, fev: 2, fevr: 2, february: 2, fevrier: 2, februari: 2,
+  mar: 3, mars: 3, march: 3, machi: 3,
+  apr: 4, avr: 4, april: 4, avril: 4, aprili: 4,
+  may: 5, mai: 5, mei: 5,
+  jun: 6, june: 6, juin: 6, juni: 6,
+  jul: 7, july: 7, juil: 7, juillet: 7, julai: 7,
+  aug: 8, august: 8, aou: 8, aout: 8, agosti: 8,
+  sep: 9, sept: 9, september: 9, septembre: 9, septemba: 9,
+  oct: 10, okt: 10, october: 10, octobre: 10, oktoba: 10,
+  nov: 11, november: 11, novembre: 11, novemba: 11,
+  dec: 12, des: 12, december: 12, decembre: 12, desemba: 12
+};
+
+// What the date on the label means, from the words printed before it.
+// Manufacturing dates are recognised so they are never taken for the expiry.
+const LABELS = [
+  { kind: 'use_by', pattern: /\b(?:USE BY|UB)\b/ },
+  { kind: 'best_before', pattern: /\b(?:BEST BEFORE(?: END)?|BEST BY|BBE?|B\.B\.?|BORA KABLA(?: YA)?|DLUO|DDM|A CONSOMMER DE PREFERENCE AVANT(?: LE|FIN)?)\b/ },
+  { kind: 'expiry', pattern: /\b(?:EXP(?:IRY|IRES|IRE|\.)?(?: DATE)?|EXD|USE BEFORE|TUMIA KABLA(?: YA)?|DLC|A CONSOMMER AVANT|A CONSOMMER JUSQU ?AU)\b/ },
+  { kind: 'manufactured', pattern: /\b(?:MFG|MFD|MFT|MANUFACTURED(?: ON)?|DATE OF MANUFACTURE|PROD(?:UCED)?|PKD|PACKED(?: ON)?|FAB(?:RIQUE LE)?)\b/ }
+];
+
+// "LOT 2310A", "L:23-10B", "Batch No. B12/4". Removed before looking for dates,
+// since lot codes often look like dates
+const LOT_CODE = /\b(?:LOT(?: NO\.?)?|BATCH(?: NO\.?)?|B\/N|L(?=\s*[:.#]|\d))\s*[:.#]?\s*([A-Z0-9][A-Z0-9\-/]*)/;
+
+const pad = (value) => String(value).padStart(2, '0');
+const fullYear = (year) => (year < 100 ? 2000 + year : year);
+
+// "YYYY-MM-DD", or null when the day doesn't exist (31/02) or the year is implausible
+function isoDate(year, month, day) {
+  const y = fullYear(year);
+  if (y < 2000 || y > 2100 || month < 1 || month > 12 || day < 1) return null;
+  const date = new Date(Date.UTC(y, month - 1, day));
+  if (date.getUTCMonth() !== month - 1) return null;
+  return `${y}-${pad(month)}-${pad(day)}`;
+}
+
+const endOfMonth = (year, month) => isoDate(year, month, new Date(Date.UTC(fullYear(year), month, 0)).getUTCDate());
+const monthDate = (year, month) => ({ date: endOfMonth(year, month), precision: 'month' });
+
+function monthNumber(word) {
+  const name = word.toLowerCase();
+  return MONTHS[name] || MONTHS[name.slice(0, 4)] || MONTHS[name.slice(0, 3)] || null;
+}
+
+// Day and month of a numeric date in the configured order, plus the other
+// reading when it is also a valid date
+function numericDate(first, second, year) {
+  const dayFirst = { date: isoDate(year, second, first) };
+  const monthFirst = { date: isoDate(year, first, second) };
+  const [preferred, other] = config.expiry.dateOrder === 'MDY' ? [monthFirst, dayFirst] : [dayFirst, monthFirst];
+  if (!preferred.date) return { date: other.date };
+  return {
+    date: preferred.date,
+    alternativeDate: other.date && other.date !== preferred.date ? other.date : null
+  };
+}
+
+// Tried in order; a later pattern never matches text an earlier one used,
+// even when that text was an impossible date. `read` returns a falsy value
+// for text that only looked like a date (a word that isn't a month).
+const DATE_PATTERNS = [
+  // 2025-11-03, 2025/11/03, 20251103
+  { pattern: /\b(20\d{2})[-/.](\d{1,2})[-/.](\d{1,2})\b/g, read: (m) => ({ date: isoDate(+m[1], +m[2], +m[3]) }) },
+  { pattern: /\b(20\d{2})(\d{2})(\d{2})\b/g, read: (m) => ({ date: isoDate(+m[1], +m[2], +m[3]) }) },
+  // 03/11/2025, 03.11.25, 11-03-2025
+  { pattern: /\b(\d{1,2})[-/. ](\d{1,2})[-/. ](\d{4}|\d{2})\b/g, read: (m) => numericDate(+m[1], +m[2], +m[3]) },
+  // 03 NOV 2025, 03NOV25, 3-Nov-2025
+  {
+    pattern: /\b(\d{1,2})[\s\-/.]*([A-Z]{3,9})\.?[\s\-/.]*(\d{4}|\d{2})\b/g,
+    read: (m) => monthNumber(m[2]) && { date: isoDate(+m[3], monthNumber(m[2]), +m[1]) }
+  },
+  // NOV 03, 2025
+  {
+    pattern: /\b([A-Z]{3,9})\.?\s+(\d{1,2}),?\s+(\d{4})\b/g,
+    read: (m) => monthNumber(m[1]) && { date: isoDate(+m[3], monthNumber(m[1]), +m[2]) }
+  },
+  // NOV 2025, NOV25
+  {
+    pattern: /\b([A-Z]{3,9})\.?[\s\-/.]*(\d{4}|\d{2})\b/g,
+    read: (m) => monthNumber(m[1]) && monthDate(+m[2], monthNumber(m[1]))
+  },
+  // 2026-03, 2026.03 (year/month)
+  { pattern: /\b(20\d{2})[-/.](\d{1,2})\b/g, read: (m) => monthDate(+m[1], +m[2]) },
+  // 12/25, 11/2025, 05 2027 (month/year; a space only before a full year)
+  { pattern: /\b(\d{1,2})(?:[-/.](\d{4}|\d{2})|\s+(20\d{2}))\b/g, read: (m) => monthDate(+(m[2] || m[3]), +m[1]) },
+  // 2027 (year only)
+  { pattern: /\b(20\d{2})\b/g, read: (m) => ({ date: isoDate(+m[1], 12, 31), precision: 'year' }) }
+];
+
+function findDates(text) {
+  const found = [];
+  const overlaps = (start, end) => found.some((d) => start < d.end && end > d.start);
+
+  for (const { pattern, read } of DATE_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (overlaps(start, end)) continue;
+      const reading = read(match);
+      if (reading) found.push({ start, end, precision: 'day', alternativeDate: null, ...reading });
+    }
+  }
+  return found.sort((a, b) => a.start - b.start);
+}
+
+// The label printed closest before a date, if any
+function labelBefore(text, position) {
+  let best = null;
+  for (const { kind, pattern } of LABELS) {
+    for (const match of text.slice(0, position).matchAll(new RegExp(pattern.source, 'g'))) {
+      if (!best || match.index > best.index) best = { kind, index: match.index };
+    }
+  }
+  return best?.kind || null;
+}
+
+/**
+ * Parses a label's date text.
+ * @param {string} raw - As printed, e.g. "EXP 12/25" or "BB 2025-11-03 LOT 2310A".
+ * @returns {{ raw: string, date: string|null, precision: 'day'|'month'|'year'|null,
+ *   kind: 'expiry'|'best_before'|'use_by'|null, lotCode: string|null,
+ *   ambiguous: boolean, alternativeDate: string|null } | null} `date` is
+ *   null when no date could be read; null for empty input.
+ */
+function parseExpiryDate(raw) {
+  if (typeof raw !== 'string' || !raw.trim()) return null;
+
+  let text = raw.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toUpperCase().replace(/[’']/g, ' ');
+  const lot = text.match(LOT_CODE);
+  if (lot) text = text.slice(0, lot.index) + ' '.repeat(lot[0].length) + text.slice(lot.index + lot[0].length);
+
+  // A labelled expiry wins, even an impossible one (its date stays null);
+  // otherwise the latest valid date that isn't a manufacturing date
+  const dates = findDates(text).map((found) => ({ ...found, kind: labelBefore(text, found.start) }));
+  const candidates = dates.filter((found) => found.kind !== 'manufactured');
+  const chosen = candidates.find((found) => found.kind)
+    || candidates.filter((found) => found.date).sort((a, b) => b.date.localeCompare(a.date))[0]
+    || null;
+
+  return {
+    raw,
+    date: chosen?.date || null,
+    precision: chosen?.date ? chosen.precision : null,
+    kind: chosen ? chosen.kind || 'expiry' : null,
+    lotCode: lot ? lot[1] : null,
+    ambiguous: Boolean(chosen?.alternativeDate),
+    alternativeDate: chosen?.alternativeDate || null
+  };
+}
+
+/**
+ * Days left until a parsed date, counted in calendar days in `timeZone`.
+ * @param {object} expiry - From parseExpiryDate().
+ * @param {{ now?: Date, timeZone?: string, warnDays?: number }} [options]
+ * @returns {{ daysLeft: number|null, state: 'expired'|'past_best_before'|'today'|'soon'|'ok'|'unknown' }}
+ */
+function expiryStatus(expiry, { now = new Date(), timeZone = config.expiry.timeZone, warnDays = config.expiry.warnDays } = {}) {
+  if (!expiry?.date) return { daysLeft: null, state: 'unknown' };
+
+  const today = localDate(now.toISOString(), timeZone);
+  const daysLeft = Math.round((Date.parse(expiry.date) - Date.parse(today)) / DAY_MS);
+  let state = 'ok';
+  if (daysLeft < 0) state = expiry.kind === 'best_before' ? 'past_best_before' : 'expired';
+  else if (daysLeft === 0) state = 'today';
+  else if (daysLeft <= warnDays) state = 'soon';
+  return { daysLeft, state };
+}
+
+/**
+ * The warning for a status from expiryStatus(), or null when there is nothing to say.
+ * @param {object} expiry - From parseExpiryDate().
+ * @param {{ daysLeft: number, state: string }} status
+ * @param {string} [language]
+ * @returns {string|null}
+ */
+function expiryWarning(expiry, { daysLeft, state }, language) {
+  const vars = { date: expiry?.date, days: Math.abs(daysLeft) };
+  switch (state) {
+    case 'expired': return t(language, 'expiry.expired', vars);
+    case 'past_best_before': return t(language, 'expiry.pastBestBefore', vars);
+    case 'today': return t(language, 'expiry.today', vars);
+    case 'soon': return t(language, daysLeft === 1 ? 'expiry.tomorrow' : 'expiry.soon', vars);
+    default: return null;
+  }
+}
+
+/**
+ * Adds `expiry` (the parsed date, daysLeft and state) to a drink result and
+ * puts the expiry warning first in `warnings`, or a "check the label" one when
+ * the printed date can't be read. Runs on every request, after the cache, so
+ * the days are counted from today.
+ * @param {object} drinkResult - Normalized brand scan result.
+ * @param {string} [language] - Language for the warnings.
+ * @param {{ now?: Date }} [options]
+ * @returns {object}
+ */
+function applyExpiry(drinkResult, language, { now = new Date() } = {}) {
+  const expiry = parseExpiryDate(drinkResult.expiryDate);
+  if (!expiry) return { ...drinkResult, expiry: null };
+
+  const status = expiryStatus(expiry, { now });
+  const warnings = [
+    expiry.date ? expiryWarning(expiry, status, language) : t(language, 'expiry.unreadable', { raw: expiry.raw }),
+    expiry.ambiguous ? t(language, 'expiry.ambiguous', { raw: expiry.raw, date: expiry.date, alternative: expiry.alternativeDate }) : null
+  ].filter(Boolean);
+
+  return {
+    ...drinkResult,
+    expiry: { ...expiry, ...status },
+    warnings: [...warnings, ...(drinkResult.warnings || [])]
+  };
+}
+
+module.exports = { parseExpiryDate, expiryStatus, expiryWarning, applyExpiry };
@@ -0,0 +1,99 @@
+// services/household.js
+// A household is the account holder's profile plus the family members stored
+// on it (`members`). Every scan can be checked against any subset of them.
+
+const SELF_ID = 'self';
+const MAX_MEMBERS = 12;
+
+// Worst-case ordering of the meal risk levels
+const RISK_ORDER = ['SAFE', 'MODERATE', 'CRITICAL'];
+
+const list = (value) => (Array.isArray(value) ? value : []);
+
+// The fields the analyzers and allergen rules read from a member
+function toMember(id, doc, self = false) {
+  return {
+    id,
+    name: doc.name || (self ? 'You' : 'Member'),
+    relationship: self ? 'self' : doc.relationship || null,
+    self,
+    allergicFoods: list(doc.allergicFoods),
+    healthConditions: list(doc.healthConditions),
+    dietType: doc.dietType || null
+  };
+}
+
+/**
+ * All members of a household, the account holder first (id "self").
+ * @param {object} profile - Stored user profile.
+ * @returns {object[]}
+ */
+function householdMembers(profile) {
+  return [toMember(SELF_ID, profile, true), ...list(profile.members).map((member) => toMember(member.id, member))];
+}
+
+// Accepts an array, a JSON array string or a comma-separated string
+function parseSelection(selection) {
+  if (Array.isArray(selection)) return selection.map(String);
+  const text = String(selection || '').trim();
+  if (text.startsWith('[')) {
+    try {
+      return list(JSON.parse(text)).map(String);
+    } catch (err) {
+      return [text];
+    }
+  }
+  return text.split(',');
+}
+
+/**
+ * Picks the members a scan is for ("who is eating").
+ * @param {object} profile - Stored user profile.
+ * @param {string | string[] | undefined} selection - Member ids, or "all".
+ *   Empty means the account holder only.
+ * @returns {{ members: object[], unknown: string[] }} `unknown` lists ids
+ *   that aren't in the household.
+ */
+function selectMembers(profile, selection) {
+  const all = householdMembers(profile);
+  const ids = [...new Set(parseSelection(selection).map((id) => id.trim()).filter(Boolean))];
+
+  if (ids.length === 0) return { members: [all[0]], unknown: [] };
+  if (ids.includes('all')) return { members: all, unknown: [] };
+
+  return {
+    members: all.filter((member) => ids.includes(member.id)),
+    unknown: ids.filter((id) => !all.some((member) => member.id === id))
+  };
+}
+
+/**
+ * What the meal analyzer needs for a set of members: their combined
+ * allergies and conditions (for the overall verdict) plus the members.
+ * @param {object[]} members
+ */
+function analysisProfile(members) {
+  return {
+    allergicFoods: [...new Set(members.flatMap((member) => member.allergicFoods))],
+    healthConditions: [...new Set(members.flatMap((member) => member.healthConditions))],
+    members
+  };
+}
+
+/**
+ * @param {Array<string | null | undefined>} levels
+ * @returns {string | null} The most severe level, or null when none is known.
+ */
+function worstRiskLevel(levels) {
+  const ranks = levels.map((level) => RISK_ORDER.indexOf(String(level || '').toUpperCase())).filter((rank) => rank >= 0);
+  return ranks.length > 0 ? RISK_ORDER[Math.max(...ranks)] : null;
+}
+
+module.exports = {
+  SELF_ID,
+  MAX_MEMBERS,
+  householdMembers,
+  selectMembers,
+  analysisProfile,
+  worstRiskLevel
+};
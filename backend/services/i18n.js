@@ -0,0 +1,74 @@
+// services/i18n.js
+// Locale catalogs (locales/<code>.json) shared by the AI prompts, the
+// server-generated fallback strings and the frontend. Each catalog has a
+// `server` section used here and a `ui` section served by routes/locales.js.
+// Missing keys fall back to English so a partial catalog never shows blanks.
+
+const config = require('../config');
+
+const LANGUAGES = ['en', 'sw', 'ki', 'luo', 'fr'];
+const FALLBACK_LANGUAGE = 'en';
+
+const catalogs = Object.fromEntries(LANGUAGES.map((code) => [code, require(`../locales/${code}.json`)]));
+
+if (!catalogs[config.i18n.defaultLanguage]) {
+  throw new Error(`DEFAULT_LANGUAGE "${config.i18n.defaultLanguage}" has no catalog in locales/`);
+}
+
+// "sw-KE", "SW" and "sw_TZ" all resolve to "sw"
+function normalize(code) {
+  if (typeof code !== 'string') return null;
+  const base = code.trim().toLowerCase().split(/[-_]/)[0];
+  return catalogs[base] ? base : null;
+}
+
+/**
+ * First supported language among the candidates (request, then profile),
+ * falling back to DEFAULT_LANGUAGE.
+ * @param {...string} candidates
+ * @returns {string}
+ */
+function resolveLanguage(...candidates) {
+  for (const candidate of candidates) {
+    const code = normalize(candidate);
+    if (code) return code;
+  }
+  return config.i18n.defaultLanguage;
+}
+
+/**
+ * Server-side string for a language with `{name}` placeholders filled in.
+ * @param {string} language
+ * @param {string} key - e.g. "meal.noAction".
+ * @param {object} [vars]
+ * @returns {string}
+ */
+function t(language, key, vars = {}) {
+  const catalog = catalogs[resolveLanguage(language)];
+  const template = catalog.server[key] ?? catalogs[FALLBACK_LANGUAGE].server[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined ? String(vars[name]) : match));
+}
+
+// Name, native name, prompt guidance for the AI prompts and the BCP 47 tag
+// of the voice that reads results aloud (Kikuyu and Luo use a Kiswahili voice)
+function languageInfo(language) {
+  const { code, name, nativeName, promptNote, speechLanguage } = catalogs[resolveLanguage(language)];
+  return { code, name, nativeName, promptNote, speechLanguage };
+}
+
+function listLanguages() {
+  return LANGUAGES.map((code) => {
+    const { name, nativeName } = catalogs[code];
+    return { code, name, nativeName };
+  });
+}
+
+// UI strings for the frontend, English filling any gaps; null when unsupported
+function uiCatalog(language) {
+  const code = normalize(language);
+  if (!code) return null;
+  const { name, nativeName, speechLanguage, ui } = catalogs[code];
+  return { code, name, nativeName, speechLanguage, ui: { ...catalogs[FALLBACK_LANGUAGE].ui, ...ui } };
+}
+
+module.exports = { LANGUAGES, resolveLanguage, t, languageInfo, listLanguages, uiCatalog };
@@ -0,0 +1,171 @@
+// services/imagePreprocessor.js
+// Normalizes every uploaded photo before it reaches a model: checks the real
+// file type, converts to an upright, metadata-free JPEG of bounded size and
+// scores how usable the photo is (blur, darkness).
+
+const fs = require('fs');
+const sharp = require('sharp');
+const heicConvert = require('heic-convert');
+const config = require('../config');
+const { t } = require('./i18n');
+
+// Quality is measured on a small greyscale copy so the score doesn't depend
+// on the camera resolution
+const QUALITY_SAMPLE_SIDE = 512;
+
+// ISO-BMFF brands (bytes 8-12 after "ftyp") used by HEIC/HEIF and AVIF files
+const HEIC_BRANDS = new Set(['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1']);
+const AVIF_BRANDS = new Set(['avif', 'avis']);
+
+// Quality issue -> locale key of its "retake photo" advice
+const RETAKE_KEYS = {
+  blurry: 'image.retakeBlurry',
+  too_dark: 'image.retakeTooDark'
+};
+
+/**
+ * Raised for uploads that are not a readable image. `key` is the locale key
+ * of the message for the user (the error message is its default-language
+ * text) and `status` the HTTP status the routes answer with.
+ */
+class ImageRejectedError extends Error {
+  constructor(key, status = 415) {
+    super(t(undefined, key));
+    this.name = 'ImageRejectedError';
+    this.key = key;
+    this.status = status;
+  }
+}
+
+/**
+ * Detects the image type from the file's magic bytes, ignoring its name and
+ * the client-declared MIME type.
+ * @param {Buffer} buffer
+ * @returns {'jpeg' | 'png' | 'webp' | 'gif' | 'heic' | 'avif' | null}
+ */
+function sniffImageType(buffer) {
+  if (buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+  if (/^GIF8[79]a$/.test(buffer.toString('latin1', 0, 6))) return 'gif';
+  if (buffer.toString('latin1', 4, 8) === 'ftyp') {
+    const brand = buffer.toString('latin1', 8, 12);
+    if (HEIC_BRANDS.has(brand)) return 'heic';
+    if (AVIF_BRANDS.has(brand)) return 'avif';
+  }
+  return null;
+}
+
+// Variance of the 4-neighbour Laplacian: low values mean few sharp edges
+function laplacianVariance(pixels, width, height) {
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const value = pixels[i - width] + pixels[i + width] + pixels[i - 1] + pixels[i + 1] - 4 * pixels[i];
+      sum += value;
+      sumSquares += value * value;
+      count++;
+    }
+  }
+  if (count === 0) return 0;
+  const mean = sum / count;
+  return sumSquares / count - mean * mean;
+}
+
+/**
+ * Scores a prepared image.
+ * @param {Buffer} imageBuffer
+ * @returns {Promise<{ score: number, sharpness: number, brightness: number,
+ *   issues: string[], usable: boolean }>} `score` is 0-100; 50 sits on the
+ *   configured thresholds.
+ */
+async function assessQuality(imageBuffer) {
+  const { minSharpness, minBrightness } = config.images;
+  const { data, info } = await sharp(imageBuffer)
+    .greyscale()
+    .resize({ width: QUALITY_SAMPLE_SIDE, height: QUALITY_SAMPLE_SIDE, fit: 'inside', withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const sharpness = laplacianVariance(data, info.width, info.height);
+  const brightness = data.reduce((total, value) => total + value, 0) / data.length;
+
+  const issues = [];
+  if (sharpness < minSharpness) issues.push('blurry');
+  if (brightness < minBrightness) issues.push('too_dark');
+
+  const clamp = (value) => Math.max(0, Math.min(1, value));
+  const score = Math.round(100 * Math.min(clamp(sharpness / (2 * minSharpness)), clamp(brightness / (2 * minBrightness))));
+
+  return {
+    score,
+    sharpness: Math.round(sharpness),
+    brightness: Math.round(brightness),
+    issues,
+    usable: issues.length === 0
+  };
+}
+
+/**
+ * User-facing "retake photo" message for a failed quality check.
+ * @param {{ issues: string[] }} quality
+ * @param {string} [language] - Defaults to DEFAULT_LANGUAGE.
+ * @returns {string}
+ */
+function retakeMessage(quality, language) {
+  return quality.issues.map((issue) => t(language, RETAKE_KEYS[issue])).join(' ');
+}
+
+/**
+ * Converts an uploaded photo into an auto-oriented JPEG without EXIF/GPS
+ * metadata, no larger than IMAGE_MAX_DIMENSION on its longest side.
+ * @param {string} inputPath - Uploaded file.
+ * @param {string} outputPath - Where the JPEG is written.
+ * @returns {Promise<{ detectedType: string, width: number, height: number, size: number,
+ *   quality: object }>}
+ * @throws {ImageRejectedError} When the file isn't a supported, readable image.
+ */
+async function preprocessImage(inputPath, outputPath) {
+  const { maxDimension, jpegQuality } = config.images;
+  let input = fs.readFileSync(inputPath);
+
+  const detectedType = sniffImageType(input);
+  if (!detectedType) {
+    throw new ImageRejectedError('image.unsupportedType');
+  }
+
+  let output;
+  try {
+    // Prebuilt sharp binaries can't decode HEVC, which is what phone HEIC photos use
+    if (detectedType === 'heic') {
+      input = Buffer.from(await heicConvert({ buffer: input, format: 'JPEG', quality: 1 }));
+    }
+
+    // sharp drops all metadata (EXIF, GPS, XMP) unless asked to keep it
+    output = await sharp(input)
+      .rotate() // apply the EXIF orientation before it is stripped
+      .resize({ width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' }) // transparent PNG/WebP areas become white, not black
+      .jpeg({ quality: jpegQuality })
+      .toBuffer({ resolveWithObject: true });
+  } catch (err) {
+    console.warn(`Could not decode ${detectedType} upload:`, err.message);
+    throw new ImageRejectedError('image.unreadable', 422);
+  }
+
+  fs.writeFileSync(outputPath, output.data);
+
+  return {
+    detectedType,
+    width: output.info.width,
+    height: output.info.height,
+    size: output.info.size,
+    quality: await assessQuality(output.data)
+  };
+}
+
+module.exports = { preprocessImage, sniffImageType, assessQuality, retakeMessage, ImageRejectedError };
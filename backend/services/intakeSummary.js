@@ -0,0 +1,203 @@
+// services/intakeSummary.js
+// Aggregates the scans a user marked as eaten into daily and weekly totals:
+// risk levels, allergen exposures and (for meals with a nutrition estimate)
+// nutrients. Days are calendar days in the user's time zone.
+
+const RISK_LEVELS = ['SAFE', 'MODERATE', 'CRITICAL'];
+const NUTRIENTS = ['kcal', 'carbs_g', 'sugar_g', 'protein_g', 'fat_g', 'fibre_g', 'sodium_mg'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {string} timeZone - IANA zone name.
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// "YYYY-MM-DD" of an instant in the given zone (en-CA formats dates that way)
+function localDate(iso, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .format(new Date(iso));
+}
+
+// Calendar arithmetic on "YYYY-MM-DD" keys, independent of DST
+function addDays(dateKey, days) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+// Weeks start on Monday
+function weekStart(dateKey) {
+  const weekday = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+  return addDays(dateKey, -((weekday + 6) % 7));
+}
+
+function emptyBucket() {
+  return {
+    meals: 0,
+    drinks: 0,
+    riskLevels: { SAFE: 0, MODERATE: 0, CRITICAL: 0, UNRATED: 0 },
+    averageRiskScore: null,
+    allergenExposures: 0,
+    nutritionMeals: 0,
+    nutrients: Object.fromEntries(NUTRIENTS.map((key) => [key, 0]))
+  };
+}
+
+// Meal scans stored before results were flattened keep them in result.aiResult
+const analysis = (scan) => (scan.type === 'meal' && scan.result?.aiResult ? scan.result.aiResult : scan.result) || {};
+
+function allergenHits(scan) {
+  const result = analysis(scan);
+  const hits = scan.type === 'meal' ? result.allergen_rule_hits : result.allergenMatches;
+  return Array.isArray(hits) ? hits : [];
+}
+
+function addScan(bucket, scan) {
+  const result = analysis(scan);
+  bucket[scan.type === 'drink' ? 'drinks' : 'meals']++;
+
+  const level = String(scan.riskLevel || '').toUpperCase();
+  bucket.riskLevels[RISK_LEVELS.includes(level) ? level : 'UNRATED']++;
+
+  const score = Number(result.risk_score);
+  if (scan.type === 'meal' && score > 0) {
+    bucket.scoreSum = (bucket.scoreSum || 0) + score;
+    bucket.scoreCount = (bucket.scoreCount || 0) + 1;
+  }
+
+  bucket.allergenExposures += allergenHits(scan).length;
+
+  const totals = result.nutrition?.totals;
+  if (totals) {
+    bucket.nutritionMeals++;
+    for (const key of NUTRIENTS) bucket.nutrients[key] += Number(totals[key]) || 0;
+  }
+}
+
+// Drops the running sums and rounds what is reported
+function finishBucket(bucket) {
+  const { scoreSum, scoreCount, ...rest } = bucket;
+  return {
+    ...rest,
+    averageRiskScore: scoreCount ? Math.round((scoreSum / scoreCount) * 10) / 10 : null,
+    nutrients: Object.fromEntries(NUTRIENTS.map((key) => [key, Math.round(bucket.nutrients[key] * 10) / 10]))
+  };
+}
+
+// Share of rated scans that were SAFE / CRITICAL, 0-100
+function shares(bucket) {
+  const rated = RISK_LEVELS.reduce((sum, level) => sum + bucket.riskLevels[level], 0);
+  const percent = (count) => (rated ? Math.round((count / rated) * 100) : null);
+  return { safeShare: percent(bucket.riskLevels.SAFE), criticalShare: percent(bucket.riskLevels.CRITICAL) };
+}
+
+const difference = (current, previous) => (current === null || previous === null ? null : Math.round((current - previous) * 10) / 10);
+
+/**
+ * The UTC window to load for a summary: the last `days` local days plus the
+ * same number of days before them, for the comparison. Padded by a day on
+ * each side so every time zone is covered; summarizeIntake() filters by
+ * local date.
+ * @param {number} days
+ * @param {Date} [now]
+ * @returns {{ from: string, to: string }}
+ */
+function summaryWindow(days, now = new Date()) {
+  return {
+    from: new Date(now.getTime() - (2 * days + 1) * DAY_MS).toISOString(),
+    to: new Date(now.getTime() + DAY_MS).toISOString()
+  };
+}
+
+/**
+ * Builds the intake summary.
+ * @param {object[]} eatenScans - Scans with eatenAt inside summaryWindow().
+ * @param {{ days: number, timeZone: string, now?: Date }} options
+ * @returns {object} { range, timeZone, from, to, totals, previous, change,
+ *   days: [...], weeks: [...], allergens: [...] }. `previous` covers the
+ *   same number of days just before `from`; `change` is current minus
+ *   previous for the headline figures.
+ */
+function summarizeIntake(eatenScans, { days, timeZone, now = new Date() }) {
+  const today = localDate(now.toISOString(), timeZone);
+  const from = addDays(today, -(days - 1));
+  const previousFrom = addDays(from, -days);
+
+  const dayBuckets = new Map();
+  for (let i = 0; i < days; i++) dayBuckets.set(addDays(from, i), emptyBucket());
+  const totals = emptyBucket();
+  const previous = emptyBucket();
+  const allergens = new Map();
+
+  for (const scan of eatenScans) {
+    const date = localDate(scan.eatenAt, timeZone);
+    if (date >= previousFrom && date < from) {
+      addScan(previous, scan);
+      continue;
+    }
+    if (!dayBuckets.has(date)) continue;
+
+    addScan(dayBuckets.get(date), scan);
+    addScan(totals, scan);
+
+    for (const hit of allergenHits(scan)) {
+      const key = `${hit.allergy}|${hit.group}`;
+      const entry = allergens.get(key) || { allergy: hit.allergy, group: hit.group, count: 0, ingredients: [], lastEatenAt: null };
+      entry.count++;
+      if (!entry.ingredients.includes(hit.ingredient)) entry.ingredients.push(hit.ingredient);
+      if (!entry.lastEatenAt || scan.eatenAt > entry.lastEatenAt) entry.lastEatenAt = scan.eatenAt;
+      allergens.set(key, entry);
+    }
+  }
+
+  const weekBuckets = new Map();
+  for (const [date, bucket] of dayBuckets) {
+    const week = weekStart(date);
+    const entry = weekBuckets.get(week) || emptyBucket();
+    entry.meals += bucket.meals;
+    entry.drinks += bucket.drinks;
+    for (const level of Object.keys(entry.riskLevels)) entry.riskLevels[level] += bucket.riskLevels[level];
+    entry.allergenExposures += bucket.allergenExposures;
+    entry.nutritionMeals += bucket.nutritionMeals;
+    for (const key of NUTRIENTS) entry.nutrients[key] += bucket.nutrients[key];
+    if (bucket.scoreCount) {
+      entry.scoreSum = (entry.scoreSum || 0) + bucket.scoreSum;
+      entry.scoreCount = (entry.scoreCount || 0) + bucket.scoreCount;
+    }
+    weekBuckets.set(week, entry);
+  }
+
+  const current = finishBucket(totals);
+  const before = finishBucket(previous);
+  const currentShares = shares(current);
+  const previousShares = shares(before);
+
+  return {
+    range: `${days}d`,
+    timeZone,
+    from,
+    to: today,
+    totals: { ...current, ...currentShares },
+    previous: { ...before, ...previousShares },
+    change: {
+      meals: current.meals - before.meals,
+      safeShare: difference(currentShares.safeShare, previousShares.safeShare),
+      criticalShare: difference(currentShares.criticalShare, previousShares.criticalShare),
+      averageRiskScore: difference(current.averageRiskScore, before.averageRiskScore),
+      allergenExposures: current.allergenExposures - before.allergenExposures
+    },
+    days: [...dayBuckets].map(([date, bucket]) => ({ date, ...finishBucket(bucket) })),
+    weeks: [...weekBuckets].map(([start, bucket]) => ({ weekStart: start, ...finishBucket(bucket) })),
+    allergens: [...allergens.values()].sort((a, b) => b.count - a.count)
+  };
+}
+
+module.exports = { summarizeIntake, summaryWindow, isValidTimeZone, localDate };
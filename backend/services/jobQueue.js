@@ -0,0 +1,60 @@
+// services/jobQueue.js
+// Small in-process job queue with a concurrency limit and retries with
+// exponential backoff. Keeps model calls (and their quota) bounded no matter
+// how many scans arrive at once.
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * @param {{ concurrency: number, maxAttempts: number, retryDelayMs: number }} options
+ * @returns {{ enqueue: function(function(number): Promise<*>): Promise<*>, stats: function(): object }}
+ */
+function createJobQueue({ concurrency, maxAttempts, retryDelayMs }) {
+  const waiting = [];
+  let running = 0;
+
+  async function execute(run) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await run(attempt);
+      } catch (err) {
+        if (attempt >= maxAttempts) throw err;
+        console.warn(`Job attempt ${attempt}/${maxAttempts} failed, retrying:`, err.message);
+        await sleep(retryDelayMs * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  function drain() {
+    while (running < concurrency && waiting.length > 0) {
+      const { run, resolve, reject } = waiting.shift();
+      running++;
+      execute(run)
+        .then(resolve, reject)
+        .finally(() => {
+          running--;
+          drain();
+        });
+    }
+  }
+
+  return {
+    /**
+     * Queues a job. `run` receives the attempt number (1-based) and is
+     * called again after a rejection until maxAttempts is reached.
+     * @returns {Promise<*>} Settles with the job's final outcome.
+     */
+    enqueue(run) {
+      return new Promise((resolve, reject) => {
+        waiting.push({ run, resolve, reject });
+        drain();
+      });
+    },
+
+    stats() {
+      return { running, waiting: waiting.length };
+    }
+  };
+}
+
+module.exports = { createJobQueue };
@@ -0,0 +1,147 @@
+// services/nutrition.js
+// Structured per-item nutrition for meal scans. The model estimates portion
+// and nutrients for each item; every estimate is checked against the bundled
+// food composition table (data/foodComposition.json) and replaced by the
+// table value when it is missing or implausible. Glycemic load comes from the
+// table's glycemic index, not from the model.
+
+const foodData = require('../data/foodComposition.json');
+const { tokenize, findSequence } = require('./allergenEngine');
+
+const NUTRIENTS = ['kcal', 'carbs_g', 'sugar_g', 'protein_g', 'fat_g', 'fibre_g', 'sodium_mg'];
+
+// An estimate is kept when it is within 35% of the table value, or within a
+// small absolute margin for low values (a 2 g vs 3 g fibre guess is fine)
+const RELATIVE_TOLERANCE = 0.35;
+const ABSOLUTE_TOLERANCE = { kcal: 40, carbs_g: 5, sugar_g: 3, protein_g: 3, fat_g: 3, fibre_g: 2, sodium_mg: 120 };
+
+// Portions outside this range of the typical serving are treated as misreads
+const PORTION_RANGE = [0.25, 4];
+
+// Glycemic load bands per meal: low <= 10, medium 11-19, high >= 20
+const GL_BANDS = [[10, 'low'], [19, 'medium'], [Infinity, 'high']];
+
+// Longest names first so "sweet potato" wins over "potato"
+const names = foodData.foods
+  .flatMap((food) => food.names.map((name) => ({ food, tokens: tokenize(name) })))
+  .sort((a, b) => b.tokens.length - a.tokens.length);
+
+const round = (value, digits = 1) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+// kcal, mg and portions are whole numbers; grams keep one decimal
+const WHOLE = new Set(['kcal', 'sodium_mg', 'portion_g']);
+const roundNutrient = (key, value) => round(value, WHOLE.has(key) ? 0 : 1);
+
+// Non-negative numbers only; the model sometimes sends "120 kcal" or "-"
+function toAmount(value) {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  return typeof number === 'number' && Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+/**
+ * Finds the table entry for a meal item name ("Wali (White Rice) (RISK)").
+ * Exact matches beat close (typo) matches; longer names beat shorter ones.
+ * @param {string} itemName
+ * @returns {object | null} Food composition entry.
+ */
+function matchFood(itemName) {
+  const tokens = tokenize(itemName);
+  let fuzzy = null;
+  for (const { food, tokens: nameTokens } of names) {
+    const match = findSequence(tokens, nameTokens);
+    if (match === 'exact') return food;
+    if (match === 'fuzzy' && !fuzzy) fuzzy = food;
+  }
+  return fuzzy;
+}
+
+function glycemicLoadBand(load) {
+  return GL_BANDS.find(([max]) => Math.round(load) <= max)[1];
+}
+
+function checkItem(item, food) {
+  const name = String(item.item || item.name || '').trim();
+  const modelPortion = toAmount(item.portion_g);
+  const adjusted = [];
+
+  if (!food) {
+    // Nothing to check against: keep the model's numbers as they are
+    const row = { item: name, food_id: null, portion_g: modelPortion === null ? null : round(modelPortion, 0), source: 'model', adjusted };
+    for (const key of NUTRIENTS) {
+      const value = toAmount(item[key]);
+      row[key] = value === null ? null : roundNutrient(key, value);
+    }
+    const load = toAmount(item.glycemic_load);
+    row.glycemic_load = load === null ? null : round(load);
+    return row;
+  }
+
+  let portion = modelPortion;
+  const [minFactor, maxFactor] = PORTION_RANGE;
+  if (portion === null || portion < food.typicalPortionG * minFactor || portion > food.typicalPortionG * maxFactor) {
+    portion = food.typicalPortionG;
+    adjusted.push('portion_g');
+  }
+
+  const row = { item: name || food.label, food_id: food.id, food_label: food.label, portion_g: round(portion, 0) };
+  let modelValues = 0;
+  for (const key of NUTRIENTS) {
+    const expected = (food.per100g[key] * portion) / 100;
+    const estimate = toAmount(item[key]);
+    if (estimate !== null) modelValues++;
+
+    const plausible = estimate !== null
+      && Math.abs(estimate - expected) <= Math.max(expected * RELATIVE_TOLERANCE, ABSOLUTE_TOLERANCE[key]);
+    if (!plausible) adjusted.push(key);
+    row[key] = roundNutrient(key, plausible ? estimate : expected);
+  }
+
+  // GL = GI x available carbohydrate in the portion / 100
+  row.glycemic_load = round((food.glycemicIndex * row.carbs_g) / 100);
+  row.source = modelValues === 0 ? 'table' : 'checked';
+  // Table-only rows have no model values that could have been replaced
+  row.adjusted = row.source === 'table' ? [] : adjusted;
+  return row;
+}
+
+/**
+ * Checks the model's `nutrition_items` against the food composition table.
+ * When the model sent none, items are estimated from the visible ingredient
+ * list using typical portions.
+ * @param {object[] | undefined} modelItems - Model output: item, portion_g,
+ *   kcal, carbs_g, sugar_g, protein_g, fat_g, fibre_g, sodium_mg.
+ * @param {string[]} [visibleIngredients] - localized_visible_ingredients.
+ * @returns {{ items: object[], totals: object, glycemic_load: number,
+ *   glycemic_load_band: string, table_version: string }} Per item, `source`
+ *   is "checked" (model estimate verified), "table" (table only) or "model"
+ *   (food not in the table); `adjusted` lists fields replaced by table values.
+ */
+function checkNutrition(modelItems, visibleIngredients = []) {
+  const fromModel = (Array.isArray(modelItems) ? modelItems : [])
+    .filter((item) => item && typeof item === 'object' && String(item.item || item.name || '').trim());
+
+  const items = fromModel.length > 0
+    ? fromModel.map((item) => checkItem(item, matchFood(item.item || item.name)))
+    : (Array.isArray(visibleIngredients) ? visibleIngredients : [])
+      .map((name) => ({ name, food: matchFood(name) }))
+      .filter(({ food }) => food)
+      .map(({ name, food }) => checkItem({ item: name.replace(/\s*\((?:RISK|ALLERGY|SAFE)[^)]*\)/gi, '') }, food));
+
+  const totals = {};
+  for (const key of ['portion_g', ...NUTRIENTS]) {
+    totals[key] = roundNutrient(key, items.reduce((sum, item) => sum + (item[key] || 0), 0));
+  }
+  const glycemicLoad = round(items.reduce((sum, item) => sum + (item.glycemic_load || 0), 0));
+
+  return {
+    items,
+    totals,
+    glycemic_load: glycemicLoad,
+    glycemic_load_band: glycemicLoadBand(glycemicLoad),
+    table_version: foodData.version
+  };
+}
+
+module.exports = { checkNutrition, matchFood, tableVersion: foodData.version };
@@ -0,0 +1,243 @@
+// services/productCatalog.js
+// Local product catalog keyed by EAN/UPC code. Loads the bundled sample
+// catalog (data/products.sample.jsonl) plus the imported catalog at
+// PRODUCT_CATALOG_FILE; imported entries win on duplicate codes.
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const config = require('../config');
+const { normalizeBarcode } = require('./barcode');
+
+const SAMPLE_CATALOG_FILE = path.join(__dirname, '..', 'data', 'products.sample.jsonl');
+
+let catalog = null;
+
+// --- Record Normalization (Open Food Facts fields -> catalog record) ---
+
+// Splits an ingredient text on commas that aren't inside parentheses
+function splitIngredients(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of String(text)) {
+    if (char === '(' || char === '[') depth++;
+    if (char === ')' || char === ']') depth = Math.max(0, depth - 1);
+    if ((char === ',' || char === ';') && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.map((part) => part.replace(/[_*.]+$/g, '').replace(/_/g, '').trim()).filter(Boolean);
+}
+
+// Splits OFF list fields; tag values ("en:plant-based-milks") become plain text
+const splitList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map((item) => String(item).trim())
+  .map((item) => (/^[a-z]{2}:/.test(item) ? item.slice(3).replace(/-/g, ' ') : item))
+  .filter(Boolean);
+
+// OFF nutriments per 100 g/ml, in grams except alcohol (% vol); JSONL dumps
+// nest them under `nutriments`, CSV exports flatten them into columns
+function readNutrition(raw) {
+  if (raw.nutrition) return raw.nutrition;
+  const nutriments = raw.nutriments || raw;
+  const value = (field, scale = 1) => {
+    const number = Number.parseFloat(nutriments[field]);
+    return Number.isFinite(number) && number >= 0 ? Math.round(number * scale * 10) / 10 : null;
+  };
+  const nutrition = {
+    sugar_g: value('sugars_100g'),
+    sodium_mg: value('sodium_100g', 1000),
+    caffeine_mg: value('caffeine_100g', 1000),
+    alcohol_abv: value('alcohol_100g')
+  };
+  return Object.values(nutrition).some((amount) => amount !== null) ? nutrition : null;
+}
+
+/**
+ * Converts an Open Food Facts product (JSONL dump or CSV/TSV export row) or
+ * an already normalized catalog record into a catalog record.
+ * @param {object} raw
+ * @returns {object | null} Catalog record, or null when the code is invalid.
+ */
+function normalizeProduct(raw) {
+  const code = normalizeBarcode(raw.code);
+  if (!code) return null;
+
+  const categories = splitList(raw.categories || raw.categories_tags);
+  const keyIngredients = Array.isArray(raw.keyIngredients)
+    ? raw.keyIngredients
+    : Array.isArray(raw.ingredients) && raw.ingredients.length > 0
+      ? raw.ingredients.map((item) => item.text).filter(Boolean)
+      : splitIngredients(raw.ingredients_text_en || raw.ingredients_text || '');
+
+  return {
+    code,
+    brandName: raw.brandName || splitList(raw.brands)[0] || 'Unknown',
+    productName: raw.productName || raw.product_name_en || raw.product_name || raw.generic_name || '',
+    // OFF lists categories from general to specific; the last one is the most useful
+    productType: raw.productType || categories[categories.length - 1] || 'Unknown',
+    manufacturer: raw.manufacturer || raw.brand_owner || raw.manufacturing_places || '',
+    keyIngredients,
+    allergens: Array.isArray(raw.allergens) ? raw.allergens : splitList(raw.allergens_tags || raw.allergens),
+    quantity: raw.quantity || '',
+    nutrition: readNutrition(raw),
+    source: raw.source || 'openfoodfacts'
+  };
+}
+
+// --- Loading ---
+
+function readJsonLines(filePath) {
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
+
+function loadCatalog() {
+  if (!catalog) {
+    catalog = new Map();
+    for (const file of [SAMPLE_CATALOG_FILE, config.catalog.file]) {
+      if (!fs.existsSync(file)) continue;
+      for (const record of readJsonLines(file)) catalog.set(record.code, record);
+    }
+  }
+  return catalog;
+}
+
+/**
+ * @param {string} code - Normalized code from barcode.normalizeBarcode().
+ * @returns {object | null} Catalog record.
+ */
+function findProduct(code) {
+  return loadCatalog().get(code) || null;
+}
+
+/**
+ * Builds the same normalized shape /api/scan-brand returns from a catalog record.
+ * @param {object} product - Catalog record.
+ * @returns {object} Drink result.
+ */
+function productToDrinkResult(product) {
+  const warnings = product.allergens.length > 0 ? [`Contains: ${product.allergens.join(', ')}`] : [];
+  return {
+    brandName: product.brandName,
+    productType: product.productType,
+    manufacturer: product.manufacturer,
+    keyIngredients: product.keyIngredients,
+    expiryDate: '',
+    warnings,
+    // Catalog data is read from the label database, not guessed by a model
+    confidenceScore: 100,
+    localizedAdvice: '',
+    promotionalNote: '',
+    productName: product.productName,
+    quantity: product.quantity,
+    nutrition: product.nutrition || null,
+    error: false,
+    message: null
+  };
+}
+
+// --- Import ---
+
+// Minimal delimited-line parser with quoted fields (no multi-line fields)
+function parseDelimitedLine(line, delimiter) {
+  const fields = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') { current += '"'; i++; }
+      else if (char === '"') quoted = false;
+      else current += char;
+    } else if (char === '"' && current === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current);
+  return fields;
+}
+
+/**
+ * Streams an Open Food Facts style dump (JSONL, CSV or tab-separated CSV)
+ * into the catalog file, merging with what is already there.
+ * @param {string} inputFile - Dump to import.
+ * @param {{ format?: 'jsonl' | 'csv', country?: string }} [options] - `format`
+ *   defaults from the file extension; `country` keeps only products whose
+ *   `countries`/`countries_tags` mention it (e.g. "kenya").
+ * @returns {Promise<{ imported: number, skipped: number, total: number }>}
+ */
+async function importProducts(inputFile, { format, country } = {}) {
+  const kind = format || (/\.jsonl?$/i.test(inputFile) ? 'jsonl' : 'csv');
+  const wantedCountry = country ? country.toLowerCase().replace(/^[a-z]{2}:/, '') : null;
+
+  const merged = new Map();
+  if (fs.existsSync(config.catalog.file)) {
+    for (const record of readJsonLines(config.catalog.file)) merged.set(record.code, record);
+  }
+
+  const lines = readline.createInterface({ input: fs.createReadStream(inputFile), crlfDelay: Infinity });
+  let header = null;
+  let delimiter = ',';
+  let imported = 0;
+  let skipped = 0;
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+
+    let raw;
+    if (kind === 'jsonl') {
+      try {
+        raw = JSON.parse(line);
+      } catch (err) {
+        skipped++;
+        continue;
+      }
+    } else if (!header) {
+      delimiter = line.includes('\t') ? '\t' : ',';
+      header = parseDelimitedLine(line, delimiter);
+      continue;
+    } else {
+      const values = parseDelimitedLine(line, delimiter);
+      raw = Object.fromEntries(header.map((name, i) => [name, values[i] || '']));
+    }
+
+    if (wantedCountry) {
+      const countries = String(raw.countries_tags || raw.countries || '').toLowerCase();
+      if (!countries.includes(wantedCountry)) {
+        skipped++;
+        continue;
+      }
+    }
+
+    const record = normalizeProduct(raw);
+    if (!record) {
+      skipped++;
+      continue;
+    }
+    merged.set(record.code, record);
+    imported++;
+  }
+
+  fs.mkdirSync(path.dirname(config.catalog.file), { recursive: true });
+  const tmpFile = `${config.catalog.file}.tmp`;
+  fs.writeFileSync(tmpFile, [...merged.values()].map((record) => JSON.stringify(record)).join('\n') + '\n');
+  fs.renameSync(tmpFile, config.catalog.file);
+
+  catalog = null; // reload on next lookup
+  return { imported, skipped, total: merged.size };
+}
+
+module.exports = { findProduct, productToDrinkResult, normalizeProduct, importProducts, parseDelimitedLine };
@@ -0,0 +1,104 @@
+// services/promptRegistry.js
+// Versioned prompt templates. Each task ('meal', 'drink', 'text' for typed
+// ingredients/recipes/menus, and 'repair' for the follow-up that sends
+// validation errors back) has its prompts in
+// prompts/<task>/<version>.txt and an entry in prompts/manifest.json with the
+// version production uses (`active`) and the SHA-256 of every released
+// template, so a released prompt can't change without a new version: an
+// edited file fails to load. Templates use {{name}} placeholders.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+const PROMPTS_DIR = path.join(__dirname, '..', 'prompts');
+const VERSION_PATTERN = /^[a-z0-9][a-z0-9._-]*$/i;
+
+let manifest = null;
+const templates = new Map();
+
+function loadManifest() {
+  if (!manifest) manifest = JSON.parse(fs.readFileSync(path.join(PROMPTS_DIR, 'manifest.json'), 'utf8'));
+  return manifest;
+}
+
+function taskEntry(task) {
+  const entry = loadManifest()[task];
+  if (!entry) throw new Error(`Unknown prompt task "${task}"`);
+  return entry;
+}
+
+/**
+ * The version production uses for a task: MEAL_PROMPT_VERSION /
+ * DRINK_PROMPT_VERSION / TEXT_PROMPT_VERSION when set, else `active` in the
+ * manifest.
+ * @param {string} task
+ * @returns {string}
+ */
+function activeVersion(task) {
+  return config.ai.prompts[task] || taskEntry(task).active;
+}
+
+/**
+ * Released versions of a task, oldest first.
+ * @param {string} task
+ * @returns {Array<{ version: string, sha256: string, notes: string | null, active: boolean }>}
+ */
+function listVersions(task) {
+  const active = activeVersion(task);
+  return Object.entries(taskEntry(task).versions).map(([version, { sha256, notes }]) => ({
+    version, sha256, notes: notes || null, active: version === active
+  }));
+}
+
+/**
+ * Which task a version belongs to ("meal-v4" -> "meal").
+ * @param {string} version
+ * @returns {string | null}
+ */
+function taskOf(version) {
+  return Object.keys(loadManifest()).find((task) => taskEntry(task).versions[version]) || null;
+}
+
+/**
+ * Loads a released template and checks it against the manifest.
+ * @param {string} task
+ * @param {string} [version] - Defaults to the active version.
+ * @returns {{ task: string, version: string, sha256: string, template: string }}
+ */
+function getPrompt(task, version = activeVersion(task)) {
+  const key = `${task}/${version}`;
+  if (templates.has(key)) return templates.get(key);
+
+  const released = taskEntry(task).versions[version];
+  if (!released || !VERSION_PATTERN.test(version)) {
+    throw new Error(`Unknown ${task} prompt version "${version}". Released: ${Object.keys(taskEntry(task).versions).join(', ')}`);
+  }
+
+  const template = fs.readFileSync(path.join(PROMPTS_DIR, task, `${version}.txt`), 'utf8');
+  const sha256 = crypto.createHash('sha256').update(template).digest('hex');
+  if (sha256 !== released.sha256) {
+    throw new Error(`Prompt ${key}.txt was changed after release (sha256 ${sha256}); add a new version instead`);
+  }
+
+  const prompt = { task, version, sha256, template };
+  templates.set(key, prompt);
+  return prompt;
+}
+
+/**
+ * Fills in a template's {{name}} placeholders.
+ * @param {string} task
+ * @param {string} version
+ * @param {Object<string, string>} vars - Every placeholder must be given.
+ * @returns {string}
+ */
+function renderPrompt(task, version, vars) {
+  return getPrompt(task, version).template.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+    if (vars[name] === undefined || vars[name] === null) throw new Error(`Prompt ${task}/${version} needs {{${name}}}`);
+    return String(vars[name]);
+  });
+}
+
+module.exports = { activeVersion, listVersions, taskOf, getPrompt, renderPrompt };
@@ -0,0 +1,304 @@
+// services/recalls.js
+// Recall and counterfeit watchlist. Notices are imported from CSV or JSON
+// (scripts/importRecalls.js) into RECALLS_FILE and checked against every
+// drink scan and barcode lookup: by barcode or brand, then narrowed by the
+// notice's product name, batch/lot codes and date range.
+//
+// A notice only matches when nothing on the scan contradicts it. When the
+// scan doesn't show a detail the notice depends on (no lot code could be
+// read, no date), the match is reported as "possible" so the user checks
+// the bottle against the notice.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const { tokenize, findSequence } = require('./allergenEngine');
+const { normalizeBarcode } = require('./barcode');
+const { parseDelimitedLine } = require('./productCatalog');
+const { t } = require('./i18n');
+
+// Reloaded when the file changes, so an import shows up without a restart
+let cache = { mtimeMs: null, recalls: [] };
+
+// --- Record Normalization ---
+
+// First non-empty value among the column names a source might use
+function pick(raw, names) {
+  const value = names.map((name) => raw[name]).find((candidate) => candidate !== undefined && candidate !== null && String(candidate).trim() !== '');
+  return value === undefined ? null : String(value).trim();
+}
+
+const INVALID = Symbol('invalid');
+
+// "2026-03-01" or a full ISO timestamp; anything else is INVALID
+function isoDay(value) {
+  if (!value) return null;
+  const day = String(value).slice(0, 10);
+  return /^\d{4}-\d{2}-\d{2}$/.test(day) && !Number.isNaN(Date.parse(day)) ? day : INVALID;
+}
+
+const batchKey = (value) => String(value).toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Converts an imported row (CSV columns or JSON fields) into a watchlist record.
+ * @param {object} raw - brand, product, barcode, batch (one or more lot codes,
+ *   separated by ; , or |), dateFrom, dateTo, reason, source, type ("recall"
+ *   or "counterfeit"), manufacturer, url, issuedAt. Common alternative names
+ *   (brandName, lot, from, to, ...) are accepted too.
+ * @returns {object | null} Record, or null when it has no brand or barcode, no
+ *   reason, or an unreadable date.
+ */
+function normalizeRecall(raw) {
+  const brand = pick(raw, ['brand', 'brandName', 'brand_name']);
+  const rawBarcode = pick(raw, ['barcode', 'code', 'ean', 'gtin']);
+  const barcode = rawBarcode ? normalizeBarcode(rawBarcode) : null;
+  const reason = pick(raw, ['reason', 'hazard', 'description']);
+  if ((!brand && !barcode) || (rawBarcode && !barcode) || !reason) return null;
+
+  const dateFrom = isoDay(pick(raw, ['dateFrom', 'date_from', 'from', 'startDate']));
+  const dateTo = isoDay(pick(raw, ['dateTo', 'date_to', 'to', 'endDate']));
+  const issuedAt = isoDay(pick(raw, ['issuedAt', 'issued_at', 'date', 'published']));
+  if ([dateFrom, dateTo, issuedAt].includes(INVALID)) return null;
+
+  const batchText = raw.batches || pick(raw, ['batch', 'batches', 'lot', 'lotCode', 'lot_code']);
+  const batches = (Array.isArray(batchText) ? batchText : String(batchText || '').split(/[;,|]/))
+    .map((batch) => String(batch).trim())
+    .filter(Boolean);
+  const kind = /counterfeit|fake|falsified/i.test(pick(raw, ['type', 'kind']) || '') ? 'counterfeit' : 'recall';
+  const product = pick(raw, ['product', 'productName', 'product_name']);
+  const source = pick(raw, ['source', 'authority']) || 'unknown';
+  const url = pick(raw, ['url', 'link']);
+
+  return {
+    id: crypto.createHash('sha1').update([kind, brand, product, barcode, batches.join('|'), source].join('\n')).digest('hex').slice(0, 12),
+    kind,
+    brand,
+    product,
+    manufacturer: pick(raw, ['manufacturer', 'company']),
+    barcode,
+    batches,
+    dateFrom,
+    dateTo,
+    reason,
+    source,
+    url: /^https?:\/\//i.test(url || '') ? url : null,
+    issuedAt
+  };
+}
+
+// --- Loading ---
+
+function loadRecalls() {
+  let stat;
+  try {
+    stat = fs.statSync(config.recalls.file);
+  } catch (err) {
+    return [];
+  }
+  if (stat.mtimeMs !== cache.mtimeMs) {
+    const recalls = fs.readFileSync(config.recalls.file, 'utf8')
+      .split('\n')
+      .filter((line) => line.trim())
+      .map((line) => JSON.parse(line));
+    cache = { mtimeMs: stat.mtimeMs, recalls };
+  }
+  return cache.recalls;
+}
+
+// --- Matching ---
+
+const mentions = (text, name) => Boolean(text && findSequence(tokenize(text), tokenize(name)));
+
+/**
+ * Checks one notice against what a scan shows.
+ * @returns {{ certainty: 'confirmed'|'possible', matchedOn: string[] } | null}
+ */
+function matchRecall(recall, scanned) {
+  const matchedOn = [];
+  let unknown = false;
+
+  // Identify the product: the barcode when both sides have one, else the brand
+  if (recall.barcode && scanned.barcode) {
+    if (recall.barcode !== scanned.barcode) return null;
+    matchedOn.push('barcode');
+  } else if (recall.brand) {
+    if (!mentions([scanned.brandName, scanned.manufacturer, scanned.productName].filter(Boolean).join(' '), recall.brand)) return null;
+    matchedOn.push('brand');
+    if (recall.barcode) unknown = true;
+  } else {
+    return null;
+  }
+
+  if (recall.product && !matchedOn.includes('barcode')) {
+    if (mentions([scanned.brandName, scanned.productName, scanned.productType].filter(Boolean).join(' '), recall.product)) {
+      matchedOn.push('product');
+    } else if (scanned.productName) {
+      return null; // a catalog product name that isn't this one
+    } else {
+      unknown = true;
+    }
+  }
+
+  if (recall.batches.length > 0) {
+    if (scanned.lotCode) {
+      if (!recall.batches.some((batch) => batchKey(batch) === batchKey(scanned.lotCode))) return null;
+      matchedOn.push('batch');
+    } else {
+      unknown = true;
+    }
+  }
+
+  if (recall.dateFrom || recall.dateTo) {
+    if (scanned.date) {
+      if ((recall.dateFrom && scanned.date < recall.dateFrom) || (recall.dateTo && scanned.date > recall.dateTo)) return null;
+      matchedOn.push('date');
+    } else {
+      unknown = true;
+    }
+  }
+
+  // Fakes carry the genuine barcode and brand; only a batch or date singles them out
+  if (recall.kind === 'counterfeit' && !matchedOn.includes('batch') && !matchedOn.includes('date')) unknown = true;
+
+  return { certainty: unknown ? 'possible' : 'confirmed', matchedOn };
+}
+
+/**
+ * Watchlist notices matching a scanned product, confirmed matches first.
+ * @param {{ brandName?: string, productName?: string, productType?: string,
+ *   manufacturer?: string, barcode?: string, lotCode?: string, date?: string }} scanned -
+ *   `date` is the printed expiry/best-before date (YYYY-MM-DD).
+ * @returns {object[]} Records with `certainty` and `matchedOn`.
+ */
+function checkRecalls(scanned) {
+  return loadRecalls()
+    .map((recall) => {
+      const match = matchRecall(recall, scanned);
+      return match && { ...recall, ...match };
+    })
+    .filter(Boolean)
+    .sort((a, b) => (a.certainty === b.certainty ? 0 : a.certainty === 'confirmed' ? -1 : 1));
+}
+
+// What to compare on the bottle when the match is only possible
+function checkDetails(recall, language) {
+  const details = [];
+  if (recall.batches.length > 0) details.push(t(language, 'recall.batch', { batch: recall.batches.join(', ') }));
+  if (recall.dateFrom && recall.dateTo) details.push(t(language, 'recall.dates', { from: recall.dateFrom, to: recall.dateTo }));
+  else if (recall.dateFrom) details.push(t(language, 'recall.dateFrom', { from: recall.dateFrom }));
+  else if (recall.dateTo) details.push(t(language, 'recall.dateTo', { to: recall.dateTo }));
+  if (recall.barcode && !recall.matchedOn.includes('barcode')) details.push(t(language, 'recall.barcode', { barcode: recall.barcode }));
+  return details;
+}
+
+function recallMessage(recall, scannedName, language) {
+  const possible = recall.certainty === 'possible';
+  const key = recall.kind === 'counterfeit'
+    ? (possible ? 'recall.possibleCounterfeit' : 'recall.counterfeit')
+    : (possible ? 'recall.possibleRecall' : 'recall.recall');
+  const product = [recall.brand, recall.product].filter(Boolean).join(' ') || scannedName || recall.barcode;
+  const message = t(language, key, { product, reason: recall.reason, source: recall.source });
+  const details = possible ? checkDetails(recall, language) : [];
+  return details.length > 0 ? `${message} ${t(language, 'recall.compare', { details: details.join('; ') })}` : message;
+}
+
+/**
+ * Checks a drink result against the watchlist. Runs on failed analyses too:
+ * a barcode alone is enough to find a notice. Matches go in `recalls` (each
+ * with a `message`) and first in `warnings`; a confirmed match also makes the
+ * result CRITICAL.
+ * @param {object} drinkResult - Normalized brand scan result, after applyExpiry().
+ * @param {{ barcode?: string, product?: object }} [context] - The scanned
+ *   barcode and its catalog record, when known.
+ * @param {string} [language] - Language for the messages.
+ * @returns {object}
+ */
+function applyRecallChecks(drinkResult, { barcode = null, product = null } = {}, language) {
+  const known = (value) => (value && value !== 'Unknown' ? value : null);
+  const scanned = {
+    brandName: known(drinkResult.brandName) || product?.brandName,
+    productName: drinkResult.productName || product?.productName,
+    productType: known(drinkResult.productType),
+    manufacturer: drinkResult.manufacturer || product?.manufacturer,
+    barcode,
+    lotCode: drinkResult.expiry?.lotCode,
+    date: drinkResult.expiry?.date
+  };
+  const scannedName = [scanned.brandName, scanned.productName].filter(Boolean).join(' ');
+  const recalls = checkRecalls(scanned)
+    .map((recall) => ({ ...recall, message: recallMessage(recall, scannedName, language) }));
+
+  if (recalls.length === 0) return { ...drinkResult, recalls: [] };
+  const confirmed = recalls.some((recall) => recall.certainty === 'confirmed');
+  return {
+    ...drinkResult,
+    risk_level: confirmed ? 'CRITICAL' : drinkResult.risk_level,
+    ...(confirmed && { risk_score: 10 }),
+    recalls,
+    warnings: [...recalls.map((recall) => recall.message), ...(drinkResult.warnings || [])]
+  };
+}
+
+// --- Import ---
+
+function readRows(inputFile, format) {
+  const text = fs.readFileSync(inputFile, 'utf8');
+  const kind = format || (/\.jsonl$/i.test(inputFile) ? 'jsonl' : /\.json$/i.test(inputFile) ? 'json' : 'csv');
+
+  if (kind === 'json') {
+    const data = JSON.parse(text);
+    return Array.isArray(data) ? data : data.recalls || [];
+  }
+  const lines = text.split(/\r?\n/).filter((line) => line.trim());
+  if (kind === 'jsonl') {
+    return lines.map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch (err) {
+        return {};
+      }
+    });
+  }
+  const delimiter = lines[0]?.includes('\t') ? '\t' : ',';
+  const header = parseDelimitedLine(lines[0] || '', delimiter).map((name) => name.trim());
+  return lines.slice(1).map((line) => {
+    const values = parseDelimitedLine(line, delimiter);
+    return Object.fromEntries(header.map((name, i) => [name, values[i] || '']));
+  });
+}
+
+/**
+ * Imports notices from a CSV/TSV, JSON (an array, or { recalls: [...] }) or
+ * JSON Lines file into RECALLS_FILE. Re-importing the same notice updates it.
+ * @param {string} inputFile
+ * @param {{ format?: 'csv' | 'json' | 'jsonl', replace?: boolean }} [options] -
+ *   `format` defaults from the file extension; `replace` drops the existing
+ *   notices first.
+ * @returns {{ imported: number, skipped: number, total: number }}
+ */
+function importRecalls(inputFile, { format, replace = false } = {}) {
+  const merged = new Map();
+  if (!replace) for (const recall of loadRecalls()) merged.set(recall.id, recall);
+
+  let imported = 0;
+  let skipped = 0;
+  for (const raw of readRows(inputFile, format)) {
+    const record = normalizeRecall(raw);
+    if (!record) {
+      skipped++;
+      continue;
+    }
+    merged.set(record.id, record);
+    imported++;
+  }
+
+  fs.mkdirSync(path.dirname(config.recalls.file), { recursive: true });
+  const tmpFile = `${config.recalls.file}.tmp`;
+  fs.writeFileSync(tmpFile, [...merged.values()].map((record) => JSON.stringify(record)).join('\n') + '\n');
+  fs.renameSync(tmpFile, config.recalls.file);
+
+  return { imported, skipped, total: merged.size };
+}
+
+module.exports = { normalizeRecall, checkRecalls, applyRecallChecks, importRecalls };
@@ -0,0 +1,96 @@
+// services/review.js
+// Human review of stored scans from the admin console. A review can correct
+// result fields and marks the scan as human-verified (or not); every review
+// also keeps the scan as a labelled example, the model's output next to the
+// corrected result, to evaluate prompt changes against.
+
+const z = require('zod');
+
+const riskLevel = z.string().trim().toUpperCase().pipe(z.enum(['CRITICAL', 'MODERATE', 'SAFE']));
+const text = (max) => z.string().trim().max(max);
+const textList = z.array(text(200)).max(100);
+
+// Fields a reviewer may correct.
+const CORRECTIONS = {
+  drink: z.object({
+    brandName: text(200).min(1),
+    productType: text(200).min(1),
+    manufacturer: text(200),
+    keyIngredients: textList,
+    expiryDate: text(100),
+    warnings: textList,
+    risk_level: riskLevel,
+    risk_score: z.number().int().min(1).max(10)
+  }),
+  meal: z.object({
+    risk_level: riskLevel,
+    risk_score: z.number().int().min(1).max(10),
+    localized_visible_ingredients: textList,
+    hidden_ingredients: textList,
+    allergy_risk_summary: text(1000),
+    health_risk_summary: text(1000)
+  })
+};
+
+/**
+ * Request body schema for reviewing a scan of the given type.
+ * @param {'meal'|'drink'} type
+ * @returns {z.ZodType<{ corrections: object, verified: boolean, note?: string }>}
+ */
+function reviewSchema(type) {
+  return z.object({
+    corrections: CORRECTIONS[type].partial().strict().default({}),
+    // Reviewing without corrections confirms the model got it right
+    verified: z.boolean().default(true),
+    note: text(1000).optional()
+  });
+}
+
+// The part of a stored result that was labelled. Meal scans stored before
+// results were flattened wrap it in result.aiResult.
+const labelled = (type, result) => (type === 'meal' && result?.aiResult ? result.aiResult : result ?? null);
+
+/**
+ * Applies a review to a stored scan.
+ * @param {object} scan - Scan record with its `userId` (from scans.listAll/get).
+ * @param {{ corrections: object, verified: boolean, note?: string }} review -
+ *   Parsed with reviewSchema(scan.type).
+ * @param {string} reviewerId - uid of the admin.
+ * @returns {{ patch: object, exampleId: string, example: object }} Scan
+ *   record patch, and the labelled example to save.
+ */
+function reviewScan(scan, { corrections, verified, note }, reviewerId) {
+  const reviewedAt = new Date().toISOString();
+  // The model's result before the first review, kept through re-reviews
+  const originalResult = scan.originalResult ?? scan.result ?? null;
+  // Reviewing an old nested meal scan stores it flat
+  const result = { ...labelled(scan.type, scan.result), ...corrections };
+  const correctedFields = [...new Set([...(scan.review?.correctedFields || []), ...Object.keys(corrections)])];
+
+  const review = { verified, note: note || null, correctedFields, reviewerId, reviewedAt };
+  const patch = {
+    result,
+    riskLevel: corrections.risk_level || scan.riskLevel || null,
+    originalResult,
+    humanVerified: verified,
+    review
+  };
+
+  const example = {
+    scanId: scan.id,
+    userId: scan.userId,
+    type: scan.type,
+    imageUrl: scan.imageUrl || null,
+    // Every labelled photo of a multi-photo drink scan
+    images: scan.images || null,
+    promptVersion: scan.promptVersion || null,
+    modelOutput: scan.rawOutput ?? null,
+    modelResult: labelled(scan.type, originalResult),
+    expected: labelled(scan.type, result),
+    ...review
+  };
+
+  return { patch, exampleId: `${scan.userId}_${scan.id}`, example };
+}
+
+module.exports = { reviewSchema, reviewScan };
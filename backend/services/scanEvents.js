@@ -0,0 +1,30 @@
+// services/scanEvents.js
+// In-process progress events for scans, consumed by the SSE endpoint.
+
+const { EventEmitter } = require('events');
+
+const emitter = new EventEmitter();
+// One listener per open SSE connection
+emitter.setMaxListeners(0);
+
+const TERMINAL_STAGES = new Set(['completed', 'failed']);
+
+/**
+ * Publishes a progress update ({ scanId, stage, ... }) for a scan.
+ */
+function emitScanProgress(scanId, payload) {
+  emitter.emit(`scan:${scanId}`, { scanId, ...payload });
+}
+
+/**
+ * Subscribes to a scan's progress updates.
+ * @returns {function(): void} Unsubscribe.
+ */
+function onScanProgress(scanId, listener) {
+  emitter.on(`scan:${scanId}`, listener);
+  return () => emitter.off(`scan:${scanId}`, listener);
+}
+
+const isTerminalStage = (stage) => TERMINAL_STAGES.has(stage);
+
+module.exports = { emitScanProgress, onScanProgress, isTerminalStage };
@@ -0,0 +1,87 @@
+// services/scanJobs.js
+// Meal scan processing as queued jobs: upload -> analyze -> allergen rules ->
+// store. Both the blocking and the async (?async=1) mode of POST /api/scan
+// go through here; each stage is written to the scan record (`stage`) and
+// published as a progress event.
+
+const fs = require('fs');
+const config = require('../config');
+const { scans, images, scanImagePath } = require('../repositories');
+const { createJobQueue } = require('./jobQueue');
+const { emitScanProgress } = require('./scanEvents');
+const { analyzeMealCached } = require('./analysisCache');
+const { applyHouseholdAllergenRules } = require('./allergenEngine');
+const { PROMPT_VERSION } = require('./aiAnalyzer');
+
+const scanQueue = createJobQueue(config.jobs);
+
+async function setStage(userId, scanId, stage, patch = {}) {
+  await scans.update(userId, scanId, { stage, ...patch });
+  emitScanProgress(scanId, { stage, ...patch });
+}
+
+/**
+ * Queues a meal scan. The scan record must already exist (status 'pending').
+ * `profile` comes from household.analysisProfile() for the members eating.
+ * @param {{ userId: string, scanId: string, profile: object,
+ *           file: { path: string, originalname: string, mimetype: string } }} job
+ * @returns {Promise<{ imageUrl: string | null, aiResult: object, cacheStatus?: string, failed: boolean }>}
+ *   `aiResult` is the MealResult (services/aiAnalyzer.js) after the allergen rules.
+ *   Never rejects; failures are recorded on the scan and returned with failed: true.
+ */
+function submitMealScan({ userId, scanId, profile, file }) {
+  // Kept across retries so a retry never uploads the image twice
+  let imageUrl = null;
+  // Last model output, kept for the review console when every attempt fails
+  let rawOutput = null;
+
+  const job = scanQueue.enqueue(async (attempt) => {
+    if (!imageUrl) {
+      await setStage(userId, scanId, 'uploading', { attempts: attempt });
+      ({ url: imageUrl } = await images.upload(file.path, {
+        destination: scanImagePath(userId, file.originalname),
+        contentType: file.mimetype
+      }));
+    }
+
+    await setStage(userId, scanId, 'analyzing', { imageUrl, attempts: attempt });
+    const { result, cacheStatus } = await analyzeMealCached(file.path, profile);
+    rawOutput = result.rawResponse ?? rawOutput;
+    // Analyzer failures come back as { error: true }; throw so the queue retries
+    if (result.error) throw new Error(result.message || 'AI analysis failed');
+
+    // Copy so the rule check never mutates the cached entry; the raw model
+    // text and the prompt version go on the scan record only
+    const { rawResponse, promptVersion, ...mealResult } = result;
+    const aiResult = applyHouseholdAllergenRules(mealResult, profile.members, profile.language);
+
+    // riskLevel is copied to the top level so history can filter on it
+    const riskLevel = aiResult.risk_level || null;
+    await scans.update(userId, scanId, {
+      status: 'completed', stage: 'completed', riskLevel, promptVersion, rawOutput, result: aiResult
+    });
+    emitScanProgress(scanId, { stage: 'completed', status: 'completed', imageUrl, riskLevel, result: aiResult });
+
+    return { imageUrl, aiResult, cacheStatus, failed: false };
+  });
+
+  return job
+    .catch(async (err) => {
+      console.error(`❌ Scan ${scanId} failed:`, err);
+      const aiResult = { error: true, message: err.message || 'AI analysis failed' };
+      try {
+        await scans.update(userId, scanId, {
+          status: 'failed', stage: 'failed', promptVersion: PROMPT_VERSION, rawOutput, result: aiResult
+        });
+      } catch (storeErr) {
+        console.error('❌ Scan record update failed:', storeErr);
+      }
+      emitScanProgress(scanId, { stage: 'failed', status: 'failed', imageUrl, result: aiResult });
+      return { imageUrl, aiResult, failed: true };
+    })
+    .finally(() => {
+      if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+    });
+}
+
+module.exports = { submitMealScan, scanQueue };
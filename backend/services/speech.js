@@ -0,0 +1,60 @@
+// services/speech.js
+// Server-generated audio for reading results aloud. The frontend speaks with
+// the browser's Speech Synthesis voices and only asks for this when the
+// device has no voice for the user's language. Audio is cached with the
+// analysis results, keyed by voice and text, since verdicts repeat a lot.
+
+const crypto = require('crypto');
+const config = require('../config');
+const { getOrCompute } = require('./analysisCache');
+const { languageInfo } = require('./i18n');
+
+const GOOGLE_TTS_URL = 'https://texttospeech.googleapis.com/v1/text:synthesize';
+
+let googleAuth = null;
+
+// Cloud Text-to-Speech with the service's default voice for the language.
+// The auth client is created on the first call, like the Vertex provider.
+async function synthesizeWithGoogle(text, languageCode) {
+  if (!googleAuth) {
+    const { GoogleAuth } = require('google-auth-library');
+    googleAuth = new GoogleAuth({ scopes: ['https://www.googleapis.com/auth/cloud-platform'] });
+  }
+  const client = await googleAuth.getClient();
+  const { data } = await client.request({
+    url: GOOGLE_TTS_URL,
+    method: 'POST',
+    data: {
+      input: { text },
+      voice: { languageCode },
+      // A little slower than normal for older listeners
+      audioConfig: { audioEncoding: 'MP3', speakingRate: 0.9 }
+    }
+  });
+  return { audioContent: data.audioContent, mimeType: 'audio/mpeg' };
+}
+
+const providers = { google: synthesizeWithGoogle };
+
+const speechEnabled = () => Boolean(providers[config.speech.provider]);
+
+/**
+ * Speaks `text` in the voice for `language`.
+ * @param {string} text
+ * @param {string} language - Locale code; resolved like the scan language.
+ * @returns {Promise<{ audio: Buffer, mimeType: string, cacheStatus: string }>}
+ */
+async function synthesizeSpeech(text, language) {
+  const synthesize = providers[config.speech.provider];
+  if (!synthesize) throw new Error(`Speech provider "${config.speech.provider}" is not available`);
+
+  const { speechLanguage } = languageInfo(language);
+  const key = crypto.createHash('sha256')
+    .update(JSON.stringify(['speech', config.speech.provider, speechLanguage, text]))
+    .digest('hex');
+
+  const { result, cacheStatus } = await getOrCompute(key, () => synthesize(text, speechLanguage));
+  return { audio: Buffer.from(result.audioContent, 'base64'), mimeType: result.mimeType, cacheStatus };
+}
+
+module.exports = { synthesizeSpeech, speechEnabled };
@@ -0,0 +1,210 @@
+// services/textAnalyzer.js
+// Analyzes food the user types instead of photographing: an ingredient list,
+// a recipe with quantities or a pasted menu. The model splits it into dishes
+// and rates each one like a meal scan (same risk levels, member rows, swaps
+// and fixes, see services/aiAnalyzer.js), with the same repair turns.
+
+const z = require('zod');
+const { worstRiskLevel } = require('./household');
+const { t } = require('./i18n');
+const { getPrompt, renderPrompt } = require('./promptRegistry');
+const { tokenize, describeHit, applyHouseholdAllergenRules } = require('./allergenEngine');
+const {
+  MEAL_FIELDS, Text, salvageFields, isJsonObject, householdContext, generateWithRepair, buildMealResult
+} = require('./aiAnalyzer');
+
+// The production prompt; cached results are keyed on it
+const PROMPT_VERSION = getPrompt('text').version;
+
+const INPUT_TYPES = ['ingredients', 'recipe', 'menu'];
+
+// --- Schema Definition for Response Validation (Zod) ---
+// A dish is a meal result without the nutrition estimate: typed text has no
+// portions to weigh. listed_ingredients may be left out for menu items.
+const { nutrition_items: _nutrition, ...DISH_MEAL_FIELDS } = MEAL_FIELDS;
+const DISH_FIELDS = {
+  dish: Text,
+  listed_ingredients: z.array(Text).optional(),
+  ...DISH_MEAL_FIELDS
+};
+const InputType = z.preprocess(
+  (value) => (typeof value === 'string' ? value.trim().toLowerCase() : value),
+  z.enum(INPUT_TYPES)
+);
+const TextAnalysisSchema = z.object({
+  input_type: InputType,
+  dishes: z.array(z.object(DISH_FIELDS)).min(1)
+});
+
+/**
+ * A dish: the MealResult fields (minus `nutrition`) for one dish in the text.
+ * @typedef {Object} DishResult
+ * @property {string} dish
+ * @property {string[]} listed_ingredients - The model's copy of the dish's ingredients from the text.
+ * @property {string[]} typed_ingredients - The text's own items for this dish (withTypedIngredients()).
+ */
+
+/**
+ * The text result: what POST /api/analyze-text sends as `aiResult`.
+ * @typedef {Object} TextResult
+ * @property {'ingredients'|'recipe'|'menu'} input_type
+ * @property {'SAFE'|'MODERATE'|'CRITICAL'} risk_level - Worst dish.
+ * @property {number} risk_score - Highest dish score.
+ * @property {DishResult[]} dishes - In the order the text lists them.
+ * @property {string} language
+ * @property {string[]} unassigned_ingredients - Typed items no dish could be matched to (withTypedIngredients()).
+ * @property {object[]} unassigned_allergen_hits - Allergen hits among them (withUnassignedCheck()).
+ * @property {string | null} unassigned_note - Tells the user about them; null when there are none.
+ * @property {boolean} degraded - Some field (of the reply or of a dish) held a default.
+ * @property {string[]} fallback_fields - Top-level keys that were invalid; dishes list their own.
+ * @property {number} repair_attempts
+ */
+
+/**
+ * The text's items as typed: one per line or comma, with list bullets
+ * dropped and recipe quantities kept on the item.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitIngredients(text) {
+  return text.split(/[\n,;]+/).map((item) => item.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').trim()).filter(Boolean);
+}
+
+/**
+ * Gives each dish the typed items that belong to it, so the allergen rules
+ * check what the user wrote and not only what the model copied. An item goes
+ * to the dishes whose name or listed ingredients share a word with it, and
+ * everything goes to the dish when there is only one. On a menu, an item
+ * that fits no dish is not made part of any: it is kept in
+ * `unassigned_ingredients` for withUnassignedCheck().
+ * @param {TextResult} result
+ * @param {string} text
+ * @returns {TextResult}
+ */
+// Food words only: prices, quantities and joining words say nothing about the dish
+const FILLER_WORDS = new Set(['and', 'with', 'the', 'for', 'cup', 'tbsp', 'tsp', 'gram', 'kg', 'ml']);
+const foodWords = (text) => tokenize(text).filter((word) => /^[a-z]{3,}$/.test(word) && !FILLER_WORDS.has(word));
+
+function withTypedIngredients(result, text) {
+  const items = splitIngredients(text).map((item) => ({ item, words: foodWords(item) }));
+  const dishWords = result.dishes.map((dish) => new Set([dish.dish, ...(dish.listed_ingredients || [])].flatMap(foodWords)));
+  const owners = items.map(({ words }) => (result.dishes.length > 1
+    ? dishWords.map((known, index) => (words.some((word) => known.has(word)) ? index : -1)).filter((index) => index >= 0)
+    : [0]));
+
+  return {
+    ...result,
+    dishes: result.dishes.map((dish, index) => ({
+      ...dish,
+      typed_ingredients: items.filter((_, itemIndex) => owners[itemIndex].includes(index)).map(({ item }) => item)
+    })),
+    unassigned_ingredients: items.filter((_, itemIndex) => owners[itemIndex].length === 0).map(({ item }) => item)
+  };
+}
+
+/**
+ * Checks the unassigned typed items against the household's allergies. They
+ * belong to no dish, so a hit changes no verdict; `unassigned_note` tells the
+ * user to ask where the item is served instead.
+ * @param {TextResult} result - From withTypedIngredients().
+ * @param {object[]} members - From household.selectMembers().
+ * @param {string} language
+ * @returns {TextResult}
+ */
+function withUnassignedCheck(result, members, language) {
+  const items = result.unassigned_ingredients || [];
+  if (items.length === 0) return { ...result, unassigned_allergen_hits: [], unassigned_note: null };
+
+  const checked = applyHouseholdAllergenRules({ typed_ingredients: items, localized_actionable_fixes: [] }, members, language);
+  const hits = [...checked.allergen_rule_hits, ...checked.possible_allergen_hits];
+  return {
+    ...result,
+    unassigned_allergen_hits: hits,
+    unassigned_note: hits.length > 0
+      ? t(language, 'text.unassignedHit', { items: items.join(', '), hit: describeHit(hits[0], language) })
+      : t(language, 'text.unassigned', { items: items.join(', ') })
+  };
+}
+
+/**
+ * Sets the overall verdict from the dishes: the worst level and the highest
+ * score. Used again after the allergen rules change a dish.
+ * @param {TextResult} result
+ * @returns {TextResult}
+ */
+function withOverallRisk(result) {
+  return {
+    ...result,
+    risk_level: worstRiskLevel(result.dishes.map((dish) => dish.risk_level)) || 'CRITICAL',
+    risk_score: Math.max(...result.dishes.map((dish) => Number(dish.risk_score) || 0))
+  };
+}
+
+/**
+ * Analyzes typed food for the profile's household, one verdict per dish.
+ * A reply that fails TextAnalysisSchema is sent back with its errors like a
+ * meal reply; after that each dish keeps its valid fields and is marked
+ * `degraded`.
+ * @param {string} text - Ingredient list, recipe or menu (trimmed, non-empty).
+ * @param {object} userProfile - analysisProfile() plus `language`.
+ * @param {{ promptVersion?: string }} [options]
+ * @returns {Promise<TextResult & { rawResponse: string, promptVersion: string } | { error: true, message: string }>}
+ */
+async function analyzeTextWithVertex(text, userProfile, { promptVersion = PROMPT_VERSION } = {}) {
+  try {
+    const { members, language, promptVars } = householdContext(userProfile);
+
+    // Template in prompts/text/<version>.txt; the text goes last, between markers
+    const prompt = renderPrompt('text', promptVersion, { ...promptVars, text });
+    const contents = [{ role: 'user', parts: [{ text: prompt }] }];
+
+    const { raw, parsed, issues, repairAttempts } = await generateWithRepair('text', contents, TextAnalysisSchema);
+    const replyDishes = isJsonObject(parsed) && Array.isArray(parsed.dishes)
+      ? parsed.dishes.filter(isJsonObject)
+      : [];
+    if (replyDishes.length === 0) {
+      console.error("❌ AI returned no dishes:", raw);
+      return { error: true, message: "AI returned no dishes", rawResponse: raw, promptVersion };
+    }
+
+    const inputType = InputType.safeParse(parsed.input_type);
+    const dishes = replyDishes.map((replyDish, index) => {
+      const { fields, fallbackFields } = issues.length === 0
+        ? { fields: replyDish, fallbackFields: [] }
+        : salvageFields(replyDish, DISH_FIELDS);
+      return {
+        dish: fields.dish || t(language.code, 'text.dishFallback', { number: index + 1 }),
+        listed_ingredients: fields.listed_ingredients || [],
+        ...buildMealResult(fields, fallbackFields, { members, language, nutrition: false })
+      };
+    });
+    const fallbackFields = inputType.success ? [] : ['input_type'];
+    const degraded = fallbackFields.length > 0 || dishes.some((dish) => dish.degraded);
+    if (degraded) {
+      console.error(`❌ Text reply still invalid after ${repairAttempts} repair(s), using defaults for:`,
+        [...fallbackFields, ...dishes.flatMap((dish) => dish.fallback_fields.map((field) => `${dish.dish}.${field}`))].join(', '));
+    }
+
+    return {
+      ...withOverallRisk({
+        input_type: inputType.success ? inputType.data : (dishes.length > 1 ? 'menu' : 'ingredients'),
+        dishes
+      }),
+      language: language.code,
+      degraded,
+      fallback_fields: fallbackFields,
+      repair_attempts: repairAttempts,
+
+      rawResponse: raw, // Model text as received; not sent to users
+      promptVersion
+    };
+
+  } catch (err) {
+    console.error("Text analysis error:", err);
+    return { error: true, message: err.message || 'AI analysis failed', details: err.stack, promptVersion };
+  }
+}
+
+module.exports = {
+  analyzeTextWithVertex, splitIngredients, withTypedIngredients, withUnassignedCheck, withOverallRisk, PROMPT_VERSION
+};
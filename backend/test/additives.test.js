@@ -0,0 +1,19 @@
+// Additives are matched by E-number and by name independently.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { matchAdditives } = require('../services/additives');
+
+const summary = (ingredients) => matchAdditives(ingredients).map((finding) => `${finding.code} ${finding.match}`).sort();
+
+test('a code and its own name give one finding', () => {
+  assert.deepEqual(summary(['Sodium Benzoate (E211)']), ['E211 code+name']);
+});
+
+test('a code and a conflicting name report both additives', () => {
+  assert.deepEqual(summary(['Tartrazine (E110)']), ['E102 name', 'E110 code']);
+});
+
+test('the same additive across ingredients is merged', () => {
+  assert.deepEqual(summary(['E211', 'sodium benzoate']), ['E211 code+name']);
+  assert.deepEqual(summary(['INS 211', 'E-211']), ['E211 code']);
+});
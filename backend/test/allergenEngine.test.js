@@ -0,0 +1,46 @@
+// Allergen rules: everyday words one letter away from a dictionary term must
+// not force a CRITICAL verdict.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { matchAllergens, applyMealAllergenRules, applyDrinkAllergenRules } = require('../services/allergenEngine');
+
+const rulesFor = (ingredient, allergies) =>
+  matchAllergens({ ingredients: [ingredient] }, allergies).map((hit) => `${hit.rule} ${hit.match}`);
+
+test('mustard, bitter lemon and batter are not milk', () => {
+  for (const ingredient of ['Mustard', 'Bitter lemon', 'Bitter leaf (Managu)', 'Angostura bitters', 'Pancake batter']) {
+    assert.deepEqual(rulesFor(ingredient, ['Milk']), [], ingredient);
+  }
+});
+
+test('the real terms still match exactly', () => {
+  assert.deepEqual(rulesFor('Custard', ['Milk']), ['milk:custard exact']);
+  assert.deepEqual(rulesFor('Blue Band butter', ['Milk']), ['milk:butter exact']);
+});
+
+test('a misspelt long term is only a possible hit', () => {
+  assert.deepEqual(rulesFor('Grounduts stew', ['Peanuts']), ['peanut:groundnut fuzzy']);
+
+  const meal = applyMealAllergenRules({
+    risk_level: 'SAFE',
+    risk_score: 2,
+    localized_visible_ingredients: ['Grounduts stew'],
+    localized_actionable_fixes: []
+  }, ['Peanuts'], 'en');
+  assert.equal(meal.risk_level, 'SAFE');
+  assert.equal(meal.risk_score, 2);
+  assert.deepEqual(meal.allergen_rule_hits, []);
+  assert.equal(meal.possible_allergen_hits.length, 1);
+  assert.equal(meal.localized_actionable_fixes.length, 1);
+});
+
+test('a drink with mustard stays clear for a milk allergy', () => {
+  const drink = applyDrinkAllergenRules({ risk_level: 'SAFE', risk_score: 1, keyIngredients: ['Mustard seed', 'Water'] }, ['Milk'], 'en');
+  assert.equal(drink.risk_level, 'SAFE');
+  assert.deepEqual(drink.allergenMatches, []);
+  assert.deepEqual(drink.possibleAllergenMatches, []);
+});
+
+test('words the dictionary knows are not typos of each other', () => {
+  assert.deepEqual(rulesFor('Sodium metabisulfite', ['Peanuts']), []);
+});
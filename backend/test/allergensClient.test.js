@@ -0,0 +1,38 @@
+// The on-device copy of the allergen rules (frontend/public/allergens.js)
+// must agree with the server on near-miss words.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const dictionary = require('../data/allergens.json');
+
+// Arrays made inside the script's context have that context's prototypes
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+async function loadClient() {
+  const storage = new Map();
+  const window = {};
+  vm.runInNewContext(fs.readFileSync(path.join(__dirname, '..', '..', 'frontend', 'public', 'allergens.js'), 'utf8'), {
+    window,
+    console,
+    localStorage: { getItem: (key) => storage.get(key) ?? null, setItem: (key, value) => storage.set(key, value) },
+    fetch: async () => ({ ok: true, json: async () => dictionary })
+  });
+  assert.equal(await window.SafeBiteAllergens.load(''), true);
+  return window.SafeBiteAllergens;
+}
+
+test('mustard, bitter lemon and batter are not milk on the device either', async () => {
+  const { checkLabel } = await loadClient();
+  const self = [{ id: 'self', name: 'You', allergicFoods: ['Milk'] }];
+  assert.deepEqual(plain(checkLabel('Mustard, bitter lemon, batter, bitters', self)), []);
+  assert.deepEqual(plain(checkLabel('Custard, butter', self).map((hit) => `${hit.rule} ${hit.match}`)),
+    ['milk:custard exact', 'milk:butter exact']);
+});
+
+test('a misspelt long term is reported as fuzzy', async () => {
+  const { matchAllergens } = await loadClient();
+  assert.deepEqual(plain(matchAllergens(['Grounduts'], ['Peanuts']).map((hit) => `${hit.rule} ${hit.match}`)),
+    ['peanut:groundnut fuzzy']);
+});
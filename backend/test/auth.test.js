@@ -0,0 +1,49 @@
+// requireOwner removes what multer stored before answering 403.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { requireOwner } = require('../middleware/auth');
+
+const uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'safebite-auth-'));
+test.after(() => fs.rmSync(uploadsDir, { recursive: true, force: true }));
+
+function tempUpload(name) {
+  const filePath = path.join(uploadsDir, `${Date.now()}-${name}`);
+  fs.writeFileSync(filePath, 'photo');
+  return { path: filePath };
+}
+
+function run(req) {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let passed = false;
+  requireOwner((request) => request.body.userId)(req, res, () => { passed = true; });
+  return { res, passed };
+}
+
+test('a rejected multi-photo request leaves no temp files', () => {
+  const files = [tempUpload('front.jpg'), tempUpload('back.jpg')];
+  const { res, passed } = run({ user: { uid: 'me' }, body: { userId: 'someone-else' }, files });
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 403);
+  for (const file of files) assert.equal(fs.existsSync(file.path), false);
+});
+
+test('a rejected single-photo request leaves no temp file', () => {
+  const file = tempUpload('meal.jpg');
+  const { res } = run({ user: { uid: 'me' }, body: { userId: 'someone-else' }, file });
+  assert.equal(res.statusCode, 403);
+  assert.equal(fs.existsSync(file.path), false);
+});
+
+test('the owner keeps their uploads', () => {
+  const file = tempUpload('meal.jpg');
+  const { passed } = run({ user: { uid: 'me' }, body: { userId: 'me' }, files: [file] });
+  assert.equal(passed, true);
+  assert.equal(fs.existsSync(file.path), true);
+});
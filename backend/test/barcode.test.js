@@ -0,0 +1,29 @@
+// Barcode normalization, UPC-E included.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeBarcode, expandUpcE } = require('../services/barcode');
+
+// Coca-Cola Classic 12 oz can: UPC-E 0 496340 6, UPC-A 0 49000 00634 6
+test('a real UPC-E code expands to its UPC-A code', () => {
+  assert.equal(expandUpcE('04963406'), '049000006346');
+  assert.equal(normalizeBarcode('04963406'), '0049000006346');
+  assert.equal(normalizeBarcode('0 496340 6'), normalizeBarcode('049000006346'));
+});
+
+test('each UPC-E expansion rule', () => {
+  assert.equal(expandUpcE('01234505'), '012000003455');
+  assert.equal(expandUpcE('01234535'), '012300000455');
+  assert.equal(expandUpcE('01234545'), '012340000055');
+  assert.equal(expandUpcE('01234565'), '012345000065');
+});
+
+test('a UPC-E code with a wrong check digit is rejected', () => {
+  assert.equal(normalizeBarcode('04963407'), null);
+});
+
+test('EAN-8, UPC-A and EAN-13 still normalize', () => {
+  assert.equal(normalizeBarcode('96385074'), '96385074');
+  assert.equal(normalizeBarcode('012345678905'), '0012345678905');
+  assert.equal(normalizeBarcode('6161100004047'), '6161100004047');
+  assert.equal(normalizeBarcode('6161100004048'), null);
+});
@@ -0,0 +1,43 @@
+// Multi-photo drink scans: which photo each field was read from, replayed
+// from the drink fixtures (fixtures/ai-responses.json).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const { analyzeDrinkWithVertex } = require('../services/brandScanner');
+
+const photosDir = fs.mkdtempSync(path.join(os.tmpdir(), 'safebite-drink-'));
+test.after(() => fs.rmSync(photosDir, { recursive: true, force: true }));
+
+// Any photo the fixtures don't know gets the drink "default" reply
+function photo(label) {
+  const filePath = path.join(photosDir, `${label}.jpg`);
+  fs.writeFileSync(filePath, `${label} of the bottle`);
+  return { path: filePath, mimeType: 'image/jpeg', label };
+}
+
+test.beforeEach((t) => {
+  config.ai.provider = 'fixture';
+  t.mock.method(console, 'log', () => {});
+});
+
+test('each field points at the photo it was read from', async () => {
+  const result = await analyzeDrinkWithVertex([photo('front'), photo('back')], 'en');
+  assert.equal(result.error, false);
+  assert.equal(result.sources, undefined);
+  assert.deepEqual(result.fieldSources, {
+    brandName: { index: 0, label: 'front' },
+    productType: { index: 0, label: 'front' },
+    keyIngredients: { index: 1, label: 'back' },
+    expiryDate: { index: 1, label: 'back' },
+    warnings: { index: 1, label: 'back' }
+  });
+});
+
+test('a single photo is the source of every field it found', async () => {
+  const result = await analyzeDrinkWithVertex([photo('side')], 'en');
+  assert.deepEqual(Object.values(result.fieldSources).map((source) => source.index), [0, 0, 0, 0, 0, 0]);
+  assert.equal(result.fieldSources.keyIngredients.label, 'side');
+});
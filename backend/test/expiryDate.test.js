@@ -0,0 +1,34 @@
+// Printed label dates: impossible dates, month-only and year-only forms.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseExpiryDate, applyExpiry } = require('../services/expiryDate');
+
+const read = (raw) => {
+  const { date, precision, kind } = parseExpiryDate(raw);
+  return { date, precision, kind };
+};
+
+test('an impossible day is not read as its month', () => {
+  assert.deepEqual(read('EXP 30 FEB 2026'), { date: null, precision: null, kind: 'expiry' });
+  assert.deepEqual(read('EXP 31/04/2026'), { date: null, precision: null, kind: 'expiry' });
+  assert.equal(read('MFG 01/01/2026 EXP 30 FEB 2026').date, null);
+});
+
+test('month-only and year-only dates mean the end of the period', () => {
+  assert.deepEqual(read('2026.03'), { date: '2026-03-31', precision: 'month', kind: 'expiry' });
+  assert.deepEqual(read('BB 05 2027'), { date: '2027-05-31', precision: 'month', kind: 'best_before' });
+  assert.deepEqual(read('EXP 2027'), { date: '2027-12-31', precision: 'year', kind: 'expiry' });
+  assert.deepEqual(read('EXP 02/28'), { date: '2028-02-29', precision: 'month', kind: 'expiry' });
+});
+
+test('day dates still win over the shorter forms', () => {
+  assert.deepEqual(read('BB 2025-11-03 LOT 2310A'), { date: '2025-11-03', precision: 'day', kind: 'best_before' });
+  assert.deepEqual(read('Best Before 03 NOV 25 L2310A'), { date: '2025-11-03', precision: 'day', kind: 'best_before' });
+  assert.deepEqual(read('MFG 2025 EXP 2027'), { date: '2027-12-31', precision: 'year', kind: 'expiry' });
+});
+
+test('an unreadable date gets a check-the-label warning', () => {
+  const result = applyExpiry({ expiryDate: 'EXP 30 FEB 2026', warnings: ['Contains caffeine'] }, 'en');
+  assert.equal(result.expiry.state, 'unknown');
+  assert.deepEqual(result.warnings, ['Could not read the date "EXP 30 FEB 2026". Check it on the label.', 'Contains caffeine']);
+});
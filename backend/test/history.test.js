@@ -0,0 +1,67 @@
+// The user's history never carries what only the admin console should see.
+process.env.STORAGE_BACKEND = 'local';
+process.env.AUTH_MODE = 'dev';
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+process.env.LOCAL_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'safebite-history-'));
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { users, scans } = require('../repositories');
+const { signDevToken } = require('../middleware/auth');
+const historyRoutes = require('../routes/history');
+
+let server;
+let baseUrl;
+let scanId;
+
+test.before(async () => {
+  const app = express();
+  app.use('/api/users', historyRoutes);
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/users/me/scans`;
+
+  await users.create({ name: 'Me', allergicFoods: [], healthConditions: [] }, { id: 'me' });
+  ({ id: scanId } = await scans.create('me', {
+    type: 'meal',
+    createdAt: new Date().toISOString(),
+    status: 'completed',
+    riskLevel: 'SAFE',
+    result: { risk_level: 'SAFE' },
+    promptVersion: 'meal-v4',
+    confidence: 40,
+    rawOutput: '{"risk_level":"MODERATE"}',
+    originalResult: { risk_level: 'MODERATE' },
+    humanVerified: true,
+    review: { verified: true, reviewerId: 'boss' }
+  }));
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(process.env.LOCAL_DATA_DIR, { recursive: true, force: true });
+});
+
+const get = async (url) => {
+  const res = await fetch(url, { headers: { Authorization: `Bearer ${signDevToken('me')}` } });
+  assert.equal(res.status, 200);
+  return res.json();
+};
+
+const INTERNAL_FIELDS = ['rawOutput', 'promptVersion', 'confidence', 'originalResult', 'humanVerified', 'review'];
+
+test('the list leaves out the raw reply, the prompt version and the review', async () => {
+  const { scans: listed } = await get(baseUrl);
+  assert.equal(listed.length, 1);
+  assert.deepEqual(listed[0].result, { risk_level: 'SAFE' });
+  for (const field of INTERNAL_FIELDS) assert.equal(field in listed[0], false, field);
+});
+
+test('the detail leaves them out too', async () => {
+  const scan = await get(`${baseUrl}/${scanId}`);
+  assert.equal(scan.id, scanId);
+  assert.equal(scan.riskLevel, 'SAFE');
+  for (const field of INTERNAL_FIELDS) assert.equal(field in scan, false, field);
+});
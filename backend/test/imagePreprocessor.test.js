@@ -0,0 +1,39 @@
+// "Retake photo" and rejected-upload messages come from the locale catalogs.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { retakeMessage, preprocessImage, ImageRejectedError } = require('../services/imagePreprocessor');
+const { t } = require('../services/i18n');
+const { retakeResponse } = require('../middleware/upload');
+const en = require('../locales/en.json');
+const sw = require('../locales/sw.json');
+const fr = require('../locales/fr.json');
+
+test('the retake message is in the requested language', () => {
+  const quality = { issues: ['blurry', 'too_dark'], usable: false };
+  assert.equal(retakeMessage(quality, 'sw'), `${sw.server['image.retakeBlurry']} ${sw.server['image.retakeTooDark']}`);
+  assert.equal(retakeResponse(quality, 'sw-KE').message, retakeMessage(quality, 'sw'));
+});
+
+test('without a language the message is in the default language', () => {
+  assert.equal(retakeMessage({ issues: ['blurry'] }), en.server['image.retakeBlurry']);
+});
+
+test('a rejected upload carries the locale key of its message', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'safebite-image-'));
+  const input = path.join(dir, 'notes.txt');
+  fs.writeFileSync(input, 'not a photo');
+  try {
+    await assert.rejects(preprocessImage(input, path.join(dir, 'out.jpg')), (err) => {
+      assert.ok(err instanceof ImageRejectedError);
+      assert.equal(err.key, 'image.unsupportedType');
+      assert.equal(err.message, en.server['image.unsupportedType']);
+      assert.equal(t('fr', err.key), fr.server['image.unsupportedType']);
+      return true;
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,21 @@
+// Stored scan photos are served without a token, so their names can't be guessable.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'safebite-images-'));
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOCAL_DATA_DIR = dataDir;
+
+const { scanImagePath } = require('../repositories');
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('scan image paths carry 128 random bits', () => {
+  const first = scanImagePath('user-1', 'meal.jpg');
+  const second = scanImagePath('user-1', 'meal.jpg');
+  assert.match(first, /^scans\/user-1\/\d+_[0-9a-f]{32}_meal\.jpg$/);
+  assert.notEqual(first, second);
+});
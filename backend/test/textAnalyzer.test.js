@@ -0,0 +1,66 @@
+// Text analysis: the allergen rules see what the user typed, whatever the
+// model copied into listed_ingredients.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { splitIngredients, withTypedIngredients, withUnassignedCheck } = require('../services/textAnalyzer');
+const { applyHouseholdAllergenRules } = require('../services/allergenEngine');
+
+const self = [{ id: 'self', name: 'You', self: true, allergicFoods: ['Peanuts'], healthConditions: [] }];
+const dish = (name, listed) => ({
+  dish: name,
+  listed_ingredients: listed,
+  risk_level: 'SAFE',
+  risk_score: 1,
+  member_risks: [{ member_id: 'self', name: 'You', risk_level: 'SAFE', risk_score: 1, reason: 'ok' }],
+  localized_visible_ingredients: [],
+  hidden_ingredients: [],
+  localized_actionable_fixes: []
+});
+
+test('splits lines and commas and keeps quantities', () => {
+  assert.deepEqual(splitIngredients('2 cups rice\n1. peanut butter\n- salt, 3) milk'),
+    ['2 cups rice', 'peanut butter', 'salt', 'milk']);
+});
+
+test('a typed allergen the model left out is still caught', () => {
+  const text = 'bread, peanut butter, milk';
+  const result = withTypedIngredients({ dishes: [dish('Sandwich', ['bread', 'milk'])] }, text);
+  assert.deepEqual(result.dishes[0].typed_ingredients, ['bread', 'peanut butter', 'milk']);
+
+  const checked = applyHouseholdAllergenRules(result.dishes[0], self, 'en');
+  assert.equal(checked.risk_level, 'CRITICAL');
+  assert.equal(checked.allergen_rule_hits[0].source, 'typed_ingredients');
+  assert.equal(checked.member_risks[0].risk_level, 'CRITICAL');
+});
+
+test('menu items go to the dish they name, unknown ones to no dish', () => {
+  const text = 'Mandazi - 50/=\nKachumbari - 30/=\nHouse special';
+  const result = withTypedIngredients({
+    dishes: [dish('Mandazi (Fried Dough)', []), dish('Kachumbari (Tomato Onion Salad)', [])]
+  }, text);
+  assert.deepEqual(result.dishes[0].typed_ingredients, ['Mandazi - 50/=']);
+  assert.deepEqual(result.dishes[1].typed_ingredients, ['Kachumbari - 30/=']);
+  assert.deepEqual(result.unassigned_ingredients, ['House special']);
+});
+
+test('an unassigned allergen is a note, not a hit on every dish', () => {
+  const text = 'groundnut sauce\nsukuma wiki';
+  const typed = withTypedIngredients({ dishes: [dish('Pilau', ['rice']), dish('Chapati', ['flour'])] }, text);
+  assert.deepEqual(typed.dishes.map((entry) => entry.typed_ingredients), [[], []]);
+  assert.deepEqual(typed.unassigned_ingredients, ['groundnut sauce', 'sukuma wiki']);
+
+  const result = withUnassignedCheck({
+    ...typed,
+    dishes: typed.dishes.map((entry) => applyHouseholdAllergenRules(entry, self, 'en'))
+  }, self, 'en');
+  assert.deepEqual(result.dishes.map((entry) => entry.risk_level), ['SAFE', 'SAFE']);
+  assert.equal(result.unassigned_allergen_hits[0].ingredient, 'groundnut sauce');
+  assert.match(result.unassigned_note, /^Not matched to a dish: groundnut sauce, sukuma wiki\. .*groundnut sauce/);
+});
+
+test('nothing is unassigned when there is one dish', () => {
+  const result = withUnassignedCheck(withTypedIngredients({ dishes: [dish('Pilau', [])] }, 'groundnut sauce'), self, 'en');
+  assert.deepEqual(result.dishes[0].typed_ingredients, ['groundnut sauce']);
+  assert.deepEqual(result.unassigned_ingredients, []);
+  assert.equal(result.unassigned_note, null);
+});
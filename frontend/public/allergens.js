@@ -0,0 +1,193 @@
+// allergens.js
+// On-device allergen checks, so a label can be checked with no connection.
+// Same rules as the backend's services/allergenEngine.js, run against a copy
+// of its dictionary (GET /api/allergens) kept on this device. Keep the two in
+// step: the server's result is the one that counts when both are available.
+(function () {
+  const DICTIONARY_KEY = 'safebiteAllergens';
+
+  const STOPWORDS = new Set(['a', 'an', 'and', 'of', 'the', 'with', 'ya', 'wa', 'na', 'za', 'allergy', 'allergic', 'to']);
+  const RISK_TAG = /\((?:RISK|ALLERGY|SAFE)(?:\s*\/\s*(?:RISK|ALLERGY|SAFE))*\)/gi;
+
+  // Only terms this long are matched fuzzily (see allergenEngine.js)
+  const MIN_FUZZY_LENGTH = 9;
+
+  let groups = null;
+  let vocabulary = new Set();
+
+  // --- Text Normalization (see allergenEngine.js) ---
+
+  function singular(word) {
+    if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+  }
+
+  function tokenize(text) {
+    return String(text || '')
+      .replace(RISK_TAG, ' ')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean)
+      .map(singular);
+  }
+
+  function levenshtein(a, b) {
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const curr = [i];
+      for (let j = 1; j <= b.length; j++) {
+        curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      }
+      prev = curr;
+    }
+    return prev[b.length];
+  }
+
+  function compareTokens(token, term) {
+    if (token === term) return 'exact';
+    if (term.length < MIN_FUZZY_LENGTH || vocabulary.has(token)) return null;
+    if (Math.abs(token.length - term.length) <= 1 && levenshtein(token, term) <= 1) return 'fuzzy';
+    return null;
+  }
+
+  function findSequence(tokens, termTokens) {
+    for (let start = 0; start + termTokens.length <= tokens.length; start++) {
+      let kind = 'exact';
+      for (let k = 0; k < termTokens.length; k++) {
+        const match = compareTokens(tokens[start + k], termTokens[k]);
+        if (!match) { kind = null; break; }
+        if (match === 'fuzzy') kind = 'fuzzy';
+      }
+      if (kind) return kind;
+    }
+    return null;
+  }
+
+  function withoutExcluded(tokens, excludes) {
+    let remaining = tokens;
+    for (const exclude of excludes) {
+      for (let start = 0; start + exclude.length <= remaining.length; start++) {
+        if (exclude.every((word, k) => remaining[start + k] === word)) {
+          remaining = [...remaining.slice(0, start), '|', ...remaining.slice(start + exclude.length)];
+        }
+      }
+    }
+    return remaining;
+  }
+
+  // --- Dictionary ---
+
+  function compile(dictionary) {
+    const compiled = dictionary.groups.map(group => ({
+      id: group.id,
+      label: group.label,
+      nameTokens: [...new Set([...tokenize(group.id), ...tokenize(group.label), ...group.aliases.flatMap(tokenize)])]
+        .filter(token => !STOPWORDS.has(token)),
+      terms: group.terms
+        .map(term => ({ term, tokens: tokenize(term) }))
+        .sort((a, b) => b.tokens.length - a.tokens.length),
+      excludes: group.exclude.map(tokenize),
+    }));
+    vocabulary = new Set(compiled.flatMap(group => [...group.nameTokens, ...group.terms.flatMap(term => term.tokens)]));
+    return compiled;
+  }
+
+  const saved = JSON.parse(localStorage.getItem(DICTIONARY_KEY) || 'null');
+  if (saved) groups = compile(saved);
+
+  /**
+   * Refreshes the dictionary from the backend. Keeps the saved copy when
+   * offline; resolves to whether a dictionary is available.
+   */
+  async function load(backendUrl) {
+    try {
+      const res = await fetch(`${backendUrl}/api/allergens`);
+      const dictionary = await res.json();
+      if (!res.ok || dictionary.error) throw new Error(dictionary.message || 'Could not load the allergen dictionary');
+
+      localStorage.setItem(DICTIONARY_KEY, JSON.stringify(dictionary));
+      groups = compile(dictionary);
+    } catch (err) {
+      console.warn('Using the saved allergen dictionary:', err);
+    }
+    return Boolean(groups);
+  }
+
+  function resolveAllergies(allergicFoods) {
+    return allergicFoods
+      .filter(allergy => typeof allergy === 'string' && allergy.trim())
+      .map(allergy => {
+        const tokens = tokenize(allergy).filter(token => !STOPWORDS.has(token));
+        const byName = groups.filter(group =>
+          tokens.some(token => group.nameTokens.some(name => compareTokens(token, name))));
+        const matched = byName.length > 0
+          ? byName
+          : groups.filter(group => group.terms.some(({ tokens: termTokens }) => findSequence(tokens, termTokens)));
+
+        return {
+          allergy,
+          groups: matched,
+          customTerms: matched.length > 0 ? [] : [{ term: tokens.join(' '), tokens }],
+        };
+      })
+      .filter(resolved => resolved.groups.length > 0 || resolved.customTerms[0].tokens.length > 0);
+  }
+
+  /**
+   * One hit per (allergy, ingredient): { rule, group, allergy, ingredient, match }.
+   * Only 'exact' hits are certain; 'fuzzy' ones are a possible match.
+   */
+  function matchAllergens(ingredients, allergicFoods) {
+    if (!groups) throw new Error('The allergen dictionary has not been downloaded yet');
+    const resolved = resolveAllergies(allergicFoods);
+    const hits = [];
+
+    for (const ingredient of ingredients) {
+      const tokens = tokenize(ingredient);
+      for (const { allergy, groups: allergyGroups, customTerms } of resolved) {
+        const rules = [
+          ...allergyGroups.map(group => ({ group, terms: group.terms, tokens: withoutExcluded(tokens, group.excludes) })),
+          ...(customTerms.length ? [{ group: null, terms: customTerms, tokens }] : []),
+        ];
+
+        for (const rule of rules) {
+          const hit = rule.terms
+            .map(({ term, tokens: termTokens }) => ({ term, match: findSequence(rule.tokens, termTokens) }))
+            .find(({ match }) => match);
+          if (!hit) continue;
+
+          hits.push({
+            rule: `${rule.group ? rule.group.id : 'custom'}:${hit.term}`,
+            group: rule.group ? rule.group.label : allergy,
+            allergy,
+            ingredient,
+            match: hit.match,
+          });
+          break;
+        }
+      }
+    }
+    return hits;
+  }
+
+  /**
+   * Checks a typed or pasted ingredient list ("Water, sugar, milk powder (5%)")
+   * against everyone's allergies. Household hits name the members they affect.
+   * @param {string} text
+   * @param {Array<{ id, name, allergicFoods }>} members - "self" first, as the profile API returns them.
+   */
+  function checkLabel(text, members) {
+    const ingredients = String(text || '').split(/[,;\n()[\]]+/).map(item => item.trim()).filter(Boolean);
+    const allergies = [...new Set(members.flatMap(member => member.allergicFoods || []))];
+    const onlySelf = members.length === 1 && members[0].id === 'self';
+
+    return matchAllergens(ingredients, allergies).map(hit => (onlySelf
+      ? hit
+      : { ...hit, members: members.filter(member => (member.allergicFoods || []).includes(hit.allergy)).map(member => member.name) }));
+  }
+
+  window.SafeBiteAllergens = { load, matchAllergens, checkLabel };
+})();
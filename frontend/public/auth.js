@@ -0,0 +1,71 @@
+// auth.js
+// Shared sign-in for the SafeBite pages. The backend derives the user from a
+// Bearer token, never from a userId the page sends.
+//
+// Production: Firebase Auth (anonymous sign-in), configured by Firebase
+// Hosting's reserved /__/firebase/init.js. Local development, where those
+// scripts don't exist: tokens from the backend's POST /api/auth/dev-token
+// (only available with AUTH_MODE=dev).
+(function () {
+  const DEV_TOKEN_KEY = 'safebiteDevToken';
+
+  // Renew dev tokens a minute before they expire
+  const EXPIRY_MARGIN_MS = 60 * 1000;
+
+  function tokenExpiry(token) {
+    try {
+      const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+      return payload.exp * 1000;
+    } catch (err) {
+      return 0;
+    }
+  }
+
+  async function firebaseSession() {
+    const auth = firebase.auth();
+    // Wait for the persisted session to be restored before deciding to sign in
+    await new Promise(resolve => {
+      const unsubscribe = auth.onAuthStateChanged(() => { unsubscribe(); resolve(); });
+    });
+    const user = auth.currentUser || (await auth.signInAnonymously()).user;
+    return { uid: user.uid, token: await user.getIdToken() };
+  }
+
+  async function devSession(backendUrl) {
+    const saved = JSON.parse(localStorage.getItem(DEV_TOKEN_KEY) || 'null');
+    if (saved && tokenExpiry(saved.token) - EXPIRY_MARGIN_MS > Date.now()) return saved;
+
+    // Ask for the same uid again so the profile and history stay reachable
+    const res = await fetch(`${backendUrl}/api/auth/dev-token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(saved ? { uid: saved.uid } : {}),
+    });
+    const data = await res.json();
+    if (!res.ok || data.error) throw new Error(data.message || 'Could not sign in');
+
+    const session = { uid: data.uid, token: data.token };
+    localStorage.setItem(DEV_TOKEN_KEY, JSON.stringify(session));
+    return session;
+  }
+
+  /**
+   * Signs in if needed and returns the current { uid, token }.
+   */
+  function getSession(backendUrl) {
+    if (window.firebase && firebase.auth && firebase.apps.length) return firebaseSession();
+    return devSession(backendUrl);
+  }
+
+  /**
+   * fetch() against the backend with the Authorization header set.
+   */
+  async function authFetch(backendUrl, path, options = {}) {
+    const { token } = await getSession(backendUrl);
+    const headers = new Headers(options.headers);
+    headers.set('Authorization', `Bearer ${token}`);
+    return fetch(`${backendUrl}${path}`, { ...options, headers });
+  }
+
+  window.SafeBiteAuth = { getSession, authFetch };
+})();
@@ -0,0 +1,79 @@
+// i18n.js
+// UI strings for the SafeBite pages, served by the backend from the same
+// locale catalogs the AI prompts use (GET /api/locales/:code).
+//
+// Static text is marked up in the HTML and replaced by apply():
+//   <h2 data-i18n="scan.heading">Scan Your Meal</h2>
+//   <input data-i18n-placeholder="household.namePlaceholder" />
+// The English text in the markup stays when a catalog can't be loaded.
+(function () {
+  const LANGUAGE_KEY = 'safebiteLanguage';
+  const CATALOG_KEY = 'safebiteLocale';
+
+  let catalog = JSON.parse(localStorage.getItem(CATALOG_KEY) || 'null');
+
+  // Saved choice first, then the browser's language ("sw-KE" -> "sw")
+  function language() {
+    return localStorage.getItem(LANGUAGE_KEY) || (navigator.language || 'en').split('-')[0].toLowerCase();
+  }
+
+  function setLanguage(code) {
+    localStorage.setItem(LANGUAGE_KEY, code);
+  }
+
+  // BCP 47 tag of the voice for reading aloud (e.g. "sw-KE")
+  function speechLanguage() {
+    return catalog?.speechLanguage || language();
+  }
+
+  /**
+   * String for `key` with `{name}` placeholders filled in; the key itself
+   * when no catalog has loaded.
+   */
+  function t(key, vars = {}) {
+    const template = catalog?.ui?.[key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined ? String(vars[name]) : match));
+  }
+
+  /**
+   * Replaces the text of every [data-i18n] element and the placeholder of
+   * every [data-i18n-placeholder] element under `root`.
+   */
+  function apply(root = document) {
+    if (!catalog) return;
+    root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+    document.documentElement.lang = catalog.code;
+  }
+
+  /**
+   * Loads the catalog for the current language (English when unsupported)
+   * and applies it. Falls back to the last catalog saved on this device.
+   */
+  async function load(backendUrl) {
+    try {
+      let res = await fetch(`${backendUrl}/api/locales/${encodeURIComponent(language())}`);
+      if (res.status === 404) res = await fetch(`${backendUrl}/api/locales/en`);
+      const data = await res.json();
+      if (!res.ok || data.error) throw new Error(data.message || 'Could not load language');
+
+      catalog = data;
+      localStorage.setItem(CATALOG_KEY, JSON.stringify(catalog));
+    } catch (err) {
+      console.error('Failed to load UI strings:', err);
+    }
+    apply();
+    return catalog;
+  }
+
+  /**
+   * Supported languages: [{ code, name, nativeName }].
+   */
+  async function languages(backendUrl) {
+    const res = await fetch(`${backendUrl}/api/locales`);
+    if (!res.ok) throw new Error('Could not load languages');
+    return res.json();
+  }
+
+  window.SafeBiteI18n = { load, t, apply, language, setLanguage, speechLanguage, languages };
+})();
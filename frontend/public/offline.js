@@ -0,0 +1,209 @@
+// offline.js
+// Offline support for the SafeBite pages. Registers the service worker
+// (sw.js) that keeps the app shell on the device, and keeps two IndexedDB
+// stores:
+//   pendingScans - photos taken without a connection, sent when it returns
+//   recentScans  - the latest results, shown by history.html when offline
+// Household members are saved too, for the offline label check (allergens.js).
+(function () {
+  const DB_NAME = 'safebite';
+  const DB_VERSION = 1;
+  const MEMBERS_KEY = 'safebiteMembers';
+
+  // Results kept for offline viewing
+  const RECENT_LIMIT = 20;
+
+  if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+      navigator.serviceWorker.register('sw.js').catch(err => console.error('Service worker registration failed:', err));
+    });
+  }
+
+  let dbPromise = null;
+
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore('pendingScans', { keyPath: 'id', autoIncrement: true });
+          request.result.createObjectStore('recentScans', { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  // Runs `fn(store)` in a transaction and resolves with its request's result once committed
+  async function withStore(name, mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(name, mode);
+      const request = fn(tx.objectStore(name));
+      tx.oncomplete = () => resolve(request?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Whether a failed request means "no connection" rather than a server error.
+   * fetch() rejects with a TypeError; Firebase Auth has its own code.
+   */
+  function isNetworkError(err) {
+    return !navigator.onLine || err instanceof TypeError || err?.code === 'auth/network-request-failed';
+  }
+
+  // --- Pending Scans ---
+
+  /**
+   * Keeps a photo, or several photos of one product, to send later.
+   * @param {{ type: 'meal' | 'drink', path: string, image?: File, images?: File[], fields: object }} scan -
+   *   `path` is the upload endpoint, `fields` the other form fields. The
+   *   photos are sent in order, each in the `image` field.
+   */
+  function queueScan({ type, path, image, images = [image], fields }) {
+    return withStore('pendingScans', 'readwrite', store => store.add({
+      type,
+      path,
+      images: images.map(file => ({ image: file, fileName: file.name || 'photo.jpg' })),
+      fields,
+      createdAt: new Date().toISOString(),
+    }));
+  }
+
+  function pendingScans() {
+    return withStore('pendingScans', 'readonly', store => store.getAll());
+  }
+
+  async function sendPending(backendUrl) {
+    const sent = [];
+    for (const pending of await pendingScans()) {
+      const formData = new FormData();
+      // Scans queued before multi-photo drink scans kept a single image
+      const photos = pending.images || [{ image: pending.image, fileName: pending.fileName }];
+      photos.forEach(photo => formData.append('image', photo.image, photo.fileName));
+      Object.entries(pending.fields).forEach(([name, value]) => formData.append(name, value));
+
+      let res;
+      try {
+        res = await SafeBiteAuth.authFetch(backendUrl, pending.path, { method: 'POST', body: formData });
+      } catch (err) {
+        if (isNetworkError(err)) break; // still offline: try again on the next 'online' event
+        throw err;
+      }
+      // Server errors are retried later; a rejected photo (blurry, wrong type) won't get better
+      if (res.status >= 500) break;
+
+      const data = await res.json().catch(() => ({ error: true, message: `HTTP ${res.status}` }));
+      const ok = res.ok && !data.error && !data.aiResult?.error;
+      if (ok) await saveResult(pending.type, data);
+      await withStore('pendingScans', 'readwrite', store => store.delete(pending.id));
+      sent.push({ type: pending.type, ok, response: data });
+    }
+    return sent;
+  }
+
+  let flushing = null;
+
+  /**
+   * Sends the pending photos, oldest first, and stops at the first network
+   * failure. Resolves with [{ type, ok, response }] for the photos sent.
+   */
+  function flushQueue(backendUrl) {
+    if (!flushing) flushing = sendPending(backendUrl).finally(() => { flushing = null; });
+    return flushing;
+  }
+
+  // --- Recent Results ---
+
+  /**
+   * Stores a finished scan in the same shape as the history API's scans.
+   * @param {'meal' | 'drink'} type
+   * @param {{ scanId: string, aiResult: object }} response - As returned by the scan endpoints
+   *   (the meal or drink result in aiResult).
+   */
+  async function saveResult(type, { scanId, aiResult }) {
+    if (!scanId) return;
+    const riskLevel = aiResult?.risk_level || null;
+    await withStore('recentScans', 'readwrite', store => store.put({
+      id: scanId,
+      type,
+      status: 'completed',
+      riskLevel,
+      result: aiResult,
+      createdAt: new Date().toISOString(),
+      offline: true,
+    }));
+
+    const old = (await recentScans()).slice(RECENT_LIMIT);
+    if (old.length) await withStore('recentScans', 'readwrite', store => old.forEach(scan => store.delete(scan.id)));
+  }
+
+  // Newest first
+  async function recentScans() {
+    const scans = await withStore('recentScans', 'readonly', store => store.getAll());
+    return scans.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // --- Household Members ---
+
+  const saveMembers = (members) => localStorage.setItem(MEMBERS_KEY, JSON.stringify(members));
+  const savedMembers = () => JSON.parse(localStorage.getItem(MEMBERS_KEY) || '[]');
+
+  /**
+   * Shows the connection and queue state in `el` and sends pending photos
+   * whenever the connection comes back. Needs i18n.js. Returns a function
+   * that refreshes the message (call it after queueing a photo).
+   */
+  function bindStatus(el, backendUrl) {
+    const t = SafeBiteI18n.t;
+    let sentMessages = [];
+
+    const refresh = async () => {
+      const pending = (await pendingScans()).length;
+      const messages = [
+        ...(navigator.onLine ? [] : [t('offline.offline')]),
+        ...(pending ? [t('offline.pending', { count: pending })] : []),
+        ...sentMessages,
+      ];
+      el.innerHTML = messages.map(message => `<p>${message}</p>`).join('');
+      el.classList.toggle('hidden', messages.length === 0);
+    };
+
+    const flush = async () => {
+      try {
+        const sent = await flushQueue(backendUrl);
+        const scanned = sent.filter(scan => scan.ok).length;
+        const rejected = sent.length - scanned;
+        sentMessages = [
+          ...(scanned ? [`${t('offline.sent', { count: scanned })} <a href="history.html" class="underline">${t('nav.history')}</a>`] : []),
+          ...(rejected ? [t('offline.rejected', { count: rejected })] : []),
+        ];
+      } catch (err) {
+        console.error('Could not send saved scans:', err);
+      }
+      await refresh();
+    };
+
+    window.addEventListener('online', flush);
+    window.addEventListener('offline', refresh);
+    if (navigator.onLine) flush();
+    else refresh();
+    return refresh;
+  }
+
+  window.SafeBiteOffline = {
+    isNetworkError,
+    queueScan,
+    pendingScans,
+    flushQueue,
+    saveResult,
+    recentScans,
+    saveMembers,
+    savedMembers,
+    bindStatus,
+  };
+})();
@@ -0,0 +1,127 @@
+// pantry.js
+// The pantry: products kept at home with the expiry date read from their
+// label (backend: routes/pantry.js). Items with reminders on show up in a
+// banner on scan.html and pantry.html, and as a system notification once a
+// day per item when the user has allowed notifications. Needs auth.js and i18n.js.
+(function () {
+  const NOTIFIED_KEY = 'safebitePantryNotified';
+
+  const pantryPath = (profileId) => `/api/users/${encodeURIComponent(profileId)}/pantry`;
+
+  // "Today" is the device's day, not the server's
+  const timeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  const query = () => `?tz=${encodeURIComponent(timeZone())}&language=${encodeURIComponent(SafeBiteI18n.language())}`;
+
+  async function request(backendUrl, path, options = {}) {
+    const res = await SafeBiteAuth.authFetch(backendUrl, path, options);
+    const data = await res.json().catch(() => ({ error: true, message: `HTTP ${res.status}` }));
+    if (!res.ok || data.error) throw new Error(data.message || `HTTP ${res.status}`);
+    return data;
+  }
+
+  const jsonBody = (method, body) => ({
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+  // --- Items ---
+
+  /** Items with daysLeft and state, soonest expiry first. */
+  async function list(backendUrl, profileId) {
+    return (await request(backendUrl, `${pantryPath(profileId)}${query()}`)).items;
+  }
+
+  /**
+   * Adds an item.
+   * @param {{ scanId?: string, name?: string, expiryDate?: string, remind?: boolean, remindDaysBefore?: number }} item -
+   *   A drink scan's id, or a name; the date as printed or as YYYY-MM-DD.
+   */
+  async function add(backendUrl, profileId, item) {
+    if (item.remind) await askPermission();
+    return request(backendUrl, pantryPath(profileId), jsonBody('POST', item));
+  }
+
+  async function update(backendUrl, profileId, itemId, changes) {
+    if (changes.remind) await askPermission();
+    return request(backendUrl, `${pantryPath(profileId)}/${encodeURIComponent(itemId)}`, jsonBody('PATCH', changes));
+  }
+
+  function remove(backendUrl, profileId, itemId) {
+    return request(backendUrl, `${pantryPath(profileId)}/${encodeURIComponent(itemId)}`, { method: 'DELETE' });
+  }
+
+  // --- Reminders ---
+
+  // Asked when a reminder is first turned on; the banner works without it
+  async function askPermission() {
+    if (!('Notification' in window) || Notification.permission !== 'default') return;
+    try {
+      await Notification.requestPermission();
+    } catch (err) {
+      console.warn('Notification permission request failed:', err);
+    }
+  }
+
+  function showNotification(reminder) {
+    const title = SafeBiteI18n.t('pantry.notificationTitle');
+    const options = { body: reminder.message, tag: `pantry-${reminder.id}`, icon: 'assets/logo.png' };
+    try {
+      new Notification(title, options);
+    } catch (err) {
+      // Android Chrome only shows notifications from the service worker
+      navigator.serviceWorker?.ready
+        .then(registration => registration.showNotification(title, options))
+        .catch(swErr => console.warn('Could not show notification:', swErr));
+    }
+  }
+
+  // One notification per item per day: { [itemId]: "YYYY-MM-DD" }
+  function notify(reminders) {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+    const today = new Date().toLocaleDateString('en-CA');
+    const notified = JSON.parse(localStorage.getItem(NOTIFIED_KEY) || '{}');
+
+    reminders.filter(reminder => notified[reminder.id] !== today).forEach(reminder => {
+      showNotification(reminder);
+      notified[reminder.id] = today;
+    });
+    localStorage.setItem(NOTIFIED_KEY, JSON.stringify(notified));
+  }
+
+  /**
+   * Shows the due reminders in `el` (hidden when there are none) and sends
+   * the day's notifications. Resolves with the reminders; quiet when offline.
+   */
+  async function showReminders(el, backendUrl, profileId) {
+    let reminders = [];
+    try {
+      reminders = (await request(backendUrl, `${pantryPath(profileId)}/reminders${query()}`)).reminders;
+    } catch (err) {
+      console.warn('Could not load pantry reminders:', err);
+    }
+
+    el.innerHTML = '';
+    if (reminders.length) {
+      const heading = document.createElement('p');
+      heading.className = 'font-semibold';
+      heading.textContent = SafeBiteI18n.t('pantry.reminders');
+      el.appendChild(heading);
+      reminders.forEach(reminder => {
+        const p = document.createElement('p');
+        p.textContent = reminder.message; // the item name is typed by the user
+        el.appendChild(p);
+      });
+      const link = document.createElement('a');
+      link.href = 'pantry.html';
+      link.className = 'underline';
+      link.textContent = SafeBiteI18n.t('nav.pantry');
+      el.appendChild(link);
+    }
+    el.classList.toggle('hidden', reminders.length === 0);
+    notify(reminders);
+    return reminders;
+  }
+
+  window.SafeBitePantry = { list, add, update, remove, showReminders };
+})();
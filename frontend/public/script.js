@@ -51,10 +51,8 @@ document.addEventListener('DOMContentLoaded', () => {
         const formData = new FormData();
         formData.append('image', file);
 
-        // Replace 'testUser123' with actual userId from your app/session
-        formData.append('userId', 'testUser123');
-
-        const res = await fetch(`${BACKEND_URL}/api/scan`, {
+        // The backend takes the user from the auth token (see auth.js)
+        const res = await SafeBiteAuth.authFetch(BACKEND_URL, '/api/scan', {
           method: 'POST',
           body: formData
         });
@@ -63,7 +61,7 @@ document.addEventListener('DOMContentLoaded', () => {
         console.log("Backend response:", data);
 
         if(data.error){
-          alert("Error: " + data.error);
+          alert("Error: " + (data.message || data.error));
           return;
         }
 
@@ -0,0 +1,155 @@
+// speech.js
+// Simple view and read-aloud for the scan result cards. A result card marks
+// its icon-first summary with data-simple-view and everything else with
+// data-detail-view; controlsHtml() adds the two buttons and bindControls()
+// wires them up. The choice of view is remembered on this device.
+//
+// Reading aloud uses the browser's Speech Synthesis voices. Devices without
+// a voice for the language (common for Kiswahili, rare to find for Gĩkũyũ
+// or Dholuo) get audio from the backend's POST /api/speech when it is
+// enabled, and the default browser voice otherwise.
+(function () {
+  const SIMPLE_MODE_KEY = 'safebiteSimpleMode';
+
+  let audio = null;
+
+  const isSimpleMode = () => localStorage.getItem(SIMPLE_MODE_KEY) === '1';
+  const setSimpleMode = (on) => localStorage.setItem(SIMPLE_MODE_KEY, on ? '1' : '0');
+
+  // Some browsers fill the voice list asynchronously; wait briefly for it
+  function loadVoices() {
+    if (!window.speechSynthesis) return Promise.resolve([]);
+    const voices = speechSynthesis.getVoices();
+    if (voices.length) return Promise.resolve(voices);
+    return new Promise(resolve => {
+      const done = () => resolve(speechSynthesis.getVoices());
+      speechSynthesis.addEventListener('voiceschanged', done, { once: true });
+      setTimeout(done, 1000);
+    });
+  }
+
+  // Exact tag first ("sw-KE"), then any voice of the same language ("sw-TZ")
+  function pickVoice(voices, tag) {
+    const normalize = (lang) => lang.toLowerCase().replace('_', '-');
+    const base = normalize(tag).split('-')[0];
+    return voices.find(voice => normalize(voice.lang) === normalize(tag))
+      || voices.find(voice => normalize(voice.lang).split('-')[0] === base);
+  }
+
+  function speakWithBrowser(text, tag, voice) {
+    return new Promise((resolve, reject) => {
+      const utterance = new SpeechSynthesisUtterance(text);
+      utterance.lang = tag;
+      if (voice) utterance.voice = voice;
+      utterance.rate = 0.9;
+      utterance.onend = resolve;
+      // stop() cancels the utterance; that is not a failure
+      utterance.onerror = (event) => (['interrupted', 'canceled'].includes(event.error) ? resolve() : reject(new Error(event.error)));
+      speechSynthesis.speak(utterance);
+    });
+  }
+
+  async function speakWithServer(backendUrl, text, language) {
+    const res = await SafeBiteAuth.authFetch(backendUrl, '/api/speech', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text, language }),
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      throw new Error(data.message || 'Could not generate speech');
+    }
+
+    audio = new Audio(URL.createObjectURL(await res.blob()));
+    await new Promise((resolve, reject) => {
+      audio.onended = resolve;
+      audio.onpause = resolve;
+      audio.onerror = () => reject(new Error('Could not play the audio'));
+      audio.play().catch(reject);
+    });
+  }
+
+  function stop() {
+    if (window.speechSynthesis) speechSynthesis.cancel();
+    if (audio) {
+      audio.pause();
+      audio = null;
+    }
+  }
+
+  /**
+   * Reads the lines aloud in the page's language, one sentence each.
+   */
+  async function speak(backendUrl, lines) {
+    stop();
+    const text = lines
+      .filter(Boolean)
+      .map(line => String(line).trim().replace(/([^.!?])$/, '$1.'))
+      .join(' ');
+    const tag = SafeBiteI18n.speechLanguage();
+
+    const voice = pickVoice(await loadVoices(), tag);
+    if (voice) return speakWithBrowser(text, tag, voice);
+
+    try {
+      return await speakWithServer(backendUrl, text, SafeBiteI18n.language());
+    } catch (err) {
+      if (!window.speechSynthesis) throw err;
+      console.warn('Server speech unavailable, using the default voice:', err);
+      return speakWithBrowser(text, tag);
+    }
+  }
+
+  /**
+   * The read-aloud and simple/detail toggle buttons for a result card.
+   */
+  function controlsHtml() {
+    const t = SafeBiteI18n.t;
+    return `
+      <div class="flex gap-3">
+        <button data-read-aloud class="flex-1 py-3 bg-purple-600 hover:bg-purple-700 rounded-xl text-white text-lg font-bold transition">${t('simple.readAloud')}</button>
+        <button data-simple-toggle class="flex-1 py-3 bg-gray-600 hover:bg-gray-700 rounded-xl text-white font-semibold transition"></button>
+      </div>`;
+  }
+
+  /**
+   * Wires the buttons from controlsHtml() inside `root` and shows the view
+   * the user picked last. `lines` are read aloud: the verdict, then the fixes.
+   */
+  function bindControls(root, backendUrl, lines) {
+    const t = SafeBiteI18n.t;
+    const readBtn = root.querySelector('[data-read-aloud]');
+    const toggleBtn = root.querySelector('[data-simple-toggle]');
+
+    const showView = (simple) => {
+      root.querySelectorAll('[data-simple-view]').forEach(el => el.classList.toggle('hidden', !simple));
+      root.querySelectorAll('[data-detail-view]').forEach(el => el.classList.toggle('hidden', simple));
+      toggleBtn.textContent = simple ? t('simple.off') : t('simple.on');
+    };
+    showView(isSimpleMode());
+    toggleBtn.addEventListener('click', () => {
+      setSimpleMode(!isSimpleMode());
+      showView(isSimpleMode());
+    });
+
+    let speaking = false;
+    readBtn.addEventListener('click', async () => {
+      if (speaking) return stop();
+
+      speaking = true;
+      readBtn.textContent = t('simple.stop');
+      try {
+        await speak(backendUrl, lines);
+        readBtn.textContent = t('simple.readAloud');
+      } catch (err) {
+        console.error('Read-aloud error:', err);
+        readBtn.textContent = t('simple.noSpeech');
+        readBtn.disabled = true;
+      } finally {
+        speaking = false;
+      }
+    });
+  }
+
+  window.SafeBiteSpeech = { speak, stop, isSimpleMode, setSimpleMode, controlsHtml, bindControls };
+})();
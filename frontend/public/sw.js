@@ -0,0 +1,91 @@
+// sw.js
+// Service worker: keeps the app shell (pages, scripts, styles, icons) on the
+// device so SafeBite opens without a connection. Pages come from the network
+// first, so a deploy shows up straight away, and from the cache when offline;
+// scripts, styles and images come from the cache and are refreshed in the
+// background. Backend calls are never cached here: offline.js queues scans,
+// and i18n.js and allergens.js keep their own copies of what they need.
+//
+// Bump CACHE_NAME when APP_SHELL changes.
+const CACHE_NAME = 'safebite-shell-v2';
+
+const APP_SHELL = [
+  './',
+  'index.html',
+  'scan.html',
+  'drink.html',
+  'history.html',
+  'dashboard.html',
+  'pantry.html',
+  'style.css',
+  'script.js',
+  'auth.js',
+  'i18n.js',
+  'speech.js',
+  'offline.js',
+  'allergens.js',
+  'pantry.js',
+  'manifest.webmanifest',
+  'assets/logo.png',
+];
+
+// Loaded by the pages from CDNs without CORS, so they are cached as opaque responses
+const CDN_ASSETS = [
+  'https://cdn.tailwindcss.com',
+  'https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.min.js',
+];
+const CDN_HOSTS = ['cdn.tailwindcss.com', 'cdn.jsdelivr.net', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(APP_SHELL);
+    await Promise.all(CDN_ASSETS.map(async (url) => cache.put(url, await fetch(url, { mode: 'no-cors' }))));
+    await self.skipWaiting();
+  })());
+});
+
+// Drop the caches of older versions
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    return (await cache.match(request, { ignoreSearch: true })) || Response.error();
+  }
+}
+
+async function staleWhileRevalidate(event, request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  const refresh = fetch(request).then((response) => {
+    if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+    return response;
+  });
+  if (!cached) return refresh;
+
+  event.waitUntil(refresh.catch(() => {}));
+  return cached;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+  // The backend (and an /api rewrite, if Hosting ever gets one) always goes to the network
+  if (sameOrigin ? url.pathname.startsWith('/api/') : !CDN_HOSTS.includes(url.hostname)) return;
+
+  event.respondWith(request.mode === 'navigate' ? networkFirst(request) : staleWhileRevalidate(event, request));
+});